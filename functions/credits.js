@@ -0,0 +1,128 @@
+/*───────────────────────────────────────────────────────────────────────────*/
+/**
+ * Prepaid credits ledger: per-wallet balances in base units of the credits
+ * asset, with the deposits and spends that moved them. Deposits and spends
+ * are verified in index.js; this file only stores their effect. The backend
+ * is picked by X402_CREDITS_STORE.
+ */
+/*───────────────────────────────────────────────────────────────────────────*/
+
+const { lazyStore } = require("./stores");
+
+/**
+ * Builds a ledger history entry.
+ * @param {object} entry - `{ id, type, txHash?, resource? }`.
+ * @param {bigint} delta - Signed change in base units.
+ * @param {bigint} balance - The balance after the change.
+ * @param {Date} at - When the change was applied.
+ * @returns {object} The stored entry; `amount` is unsigned.
+ */
+const ledgerEntry = (entry, delta, balance, at) => ({
+  ...entry,
+  amount: (delta < 0n ? -delta : delta).toString(),
+  balance: balance.toString(),
+  at: at.toISOString(),
+});
+
+/**
+ * Creates an in-memory credits ledger.
+ * @returns {object} Ledger with `apply`, `balance` and `history`.
+ */
+const createMemoryCreditsLedger = () => {
+  const accounts = new Map(); // account -> { balance, history }
+  return {
+    /**
+     * Atomically applies a deposit (positive) or spend (negative) once per
+     * entry ID.
+     * @param {string} account - The `network:wallet` ledger key.
+     * @param {bigint} delta - Signed change in base units.
+     * @param {object} entry - History entry with a unique `id`.
+     * @returns {Promise<bigint|null>} The new balance, or null if a spend
+     *   exceeds it.
+     */
+    async apply(account, delta, entry) {
+      const acct = accounts.get(account) ?? { balance: 0n, history: [] };
+      if (acct.history.some((e) => e.id === entry.id)) return acct.balance;
+      const balance = acct.balance + delta;
+      if (balance < 0n) return null;
+      acct.history.push(ledgerEntry(entry, delta, balance, new Date()));
+      accounts.set(account, { ...acct, balance });
+      return balance;
+    },
+    async balance(account) {
+      return accounts.get(account)?.balance ?? 0n;
+    },
+    async history(account, limit) {
+      return [...(accounts.get(account)?.history ?? [])]
+        .reverse()
+        .slice(0, limit);
+    },
+  };
+};
+
+/**
+ * Creates a Firestore-backed credits ledger.
+ * Each account is a document holding the balance (base units as a string)
+ * with its deposits and spends in a `history` subcollection.
+ * @param {Firestore} db - Firestore instance (production or emulator).
+ * @param {string} [collection] - Collection holding credit accounts.
+ * @returns {object} Ledger with `apply`, `balance` and `history`.
+ */
+const createFirestoreCreditsLedger = (db, collection = "x402Credits") => ({
+  async apply(account, delta, entry) {
+    const ref = db.collection(collection).doc(account);
+    const entryRef = ref.collection("history").doc(entry.id);
+    return db.runTransaction(async (t) => {
+      const [snap, entrySnap] = await Promise.all([
+        t.get(ref),
+        t.get(entryRef),
+      ]);
+      const current = BigInt(snap.exists ? snap.get("balance") : 0);
+      if (entrySnap.exists) return current;
+      const balance = current + delta;
+      if (balance < 0n) return null;
+      const at = new Date();
+      t.set(ref, { balance: balance.toString(), updatedAt: at });
+      t.set(entryRef, { ...ledgerEntry(entry, delta, balance, at), at });
+      return balance;
+    });
+  },
+  async balance(account) {
+    const snap = await db.collection(collection).doc(account).get();
+    return BigInt(snap.exists ? snap.get("balance") : 0);
+  },
+  async history(account, limit) {
+    const snap = await db
+      .collection(collection)
+      .doc(account)
+      .collection("history")
+      .orderBy("at", "desc")
+      .limit(limit)
+      .get();
+    return snap.docs.map((doc) => ({
+      ...doc.data(),
+      at: doc.get("at").toDate().toISOString(),
+    }));
+  },
+});
+
+// Credits ledger selected by X402_CREDITS_STORE
+const getCreditsLedger = lazyStore("X402_CREDITS_STORE", {
+  memory: createMemoryCreditsLedger,
+  firestore: createFirestoreCreditsLedger,
+});
+
+/**
+ * Builds the ledger key of a wallet; balances are kept per network.
+ * @param {string} network - The x402 network ID.
+ * @param {string} wallet - The wallet's base58 address.
+ * @returns {string} The ledger key.
+ */
+const creditsAccount = (network, wallet) => `${network}:${wallet}`;
+
+module.exports = {
+  createMemoryCreditsLedger,
+  createFirestoreCreditsLedger,
+  getCreditsLedger,
+  creditsAccount,
+};
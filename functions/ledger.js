@@ -0,0 +1,193 @@
+/*───────────────────────────────────────────────────────────────────────────*/
+/**
+ * Payment ledger: one entry per verification outcome, for accounting and
+ * support (GET /admin/ledger). The backend is picked by X402_LEDGER_STORE.
+ */
+/*───────────────────────────────────────────────────────────────────────────*/
+
+const crypto = require("crypto");
+const { PublicKey, VersionedTransaction } = require("@solana/web3.js");
+const { lazyStore } = require("./stores");
+
+// Entries kept by the in-memory ledger before the oldest are dropped
+const MEMORY_LEDGER_SIZE = 10_000;
+
+/**
+ * Serializes a ledger entry's timestamps for API responses.
+ * @param {object} entry - The stored entry.
+ * @returns {object} The entry with ISO `startedAt` and `completedAt`.
+ */
+const serializeLedgerEntry = (entry) => ({
+  ...entry,
+  startedAt: entry.startedAt.toISOString(),
+  completedAt: entry.completedAt.toISOString(),
+});
+
+/**
+ * Creates an in-memory payment ledger holding the latest entries.
+ * @returns {object} Ledger with `record(entry)` and `query(filters)`.
+ */
+const createMemoryLedger = () => {
+  const entries = [];
+  return {
+    /**
+     * Appends an outcome to the ledger.
+     * @param {object} entry - A `buildLedgerEntry` result.
+     * @returns {Promise<void>}
+     */
+    async record(entry) {
+      entries.push({ id: crypto.randomBytes(10).toString("hex"), ...entry });
+      if (entries.length > MEMORY_LEDGER_SIZE) entries.shift();
+    },
+    /**
+     * Lists entries newest first.
+     * @param {object} filters - `{ wallet, from, to, limit }`; `from` is
+     *   inclusive and `to` exclusive.
+     * @returns {Promise<object[]>} The serialized entries.
+     */
+    async query({ wallet, from, to, limit }) {
+      return entries
+        .filter(
+          (entry) =>
+            (!wallet || entry.payer === wallet) &&
+            (!from || entry.startedAt >= from) &&
+            (!to || entry.startedAt < to),
+        )
+        .reverse()
+        .slice(0, limit)
+        .map(serializeLedgerEntry);
+    },
+  };
+};
+
+/**
+ * Creates a Firestore-backed payment ledger, one document per outcome.
+ * Filtering by wallet and date needs a composite index on
+ * (`payer`, `startedAt` desc); the emulator does not require it.
+ * @param {Firestore} db - Firestore instance (production or emulator).
+ * @param {string} [collection] - Collection holding ledger entries.
+ * @returns {object} Ledger with `record(entry)` and `query(filters)`.
+ */
+const createFirestoreLedger = (db, collection = "x402Ledger") => ({
+  async record(entry) {
+    await db.collection(collection).add(entry);
+  },
+  async query({ wallet, from, to, limit }) {
+    let query = db.collection(collection);
+    if (wallet) query = query.where("payer", "==", wallet);
+    if (from) query = query.where("startedAt", ">=", from);
+    if (to) query = query.where("startedAt", "<", to);
+    const snap = await query.orderBy("startedAt", "desc").limit(limit).get();
+    return snap.docs.map((doc) =>
+      serializeLedgerEntry({
+        id: doc.id,
+        ...doc.data(),
+        startedAt: doc.get("startedAt").toDate(),
+        completedAt: doc.get("completedAt").toDate(),
+      }),
+    );
+  },
+});
+
+// Payment ledger selected by X402_LEDGER_STORE
+const getPaymentLedger = lazyStore("X402_LEDGER_STORE", {
+  memory: createMemoryLedger,
+  firestore: createFirestoreLedger,
+});
+
+/**
+ * Reads the claimed payer of a payment payload without verifying it, so that
+ * rejected payments can still be traced to a wallet.
+ * @param {object|null} payload - The decoded x402 payment payload.
+ * @returns {string|null} The base58 fee payer or SIWS signer.
+ */
+const getPayloadPayer = (payload) => {
+  try {
+    if (payload?.payload?.type === "siws") {
+      return new PublicKey(payload.payload.address).toBase58();
+    }
+    const tx = VersionedTransaction.deserialize(
+      Buffer.from(payload.payload.txBase64, "base64"),
+    );
+    return tx.message.staticAccountKeys[0].toBase58();
+  } catch (e) {
+    return null;
+  }
+};
+
+/**
+ * Builds the ledger entry for one verification outcome.
+ * @param {object} options - The outcome.
+ * @param {Date} options.startedAt - When the request was received.
+ * @param {string} [options.source] - How the call was paid: "payment"
+ *   (X-PAYMENT or /settle, the default), "credits" (X-CREDITS), "session"
+ *   (bearer token) or "deposit" (/credits/deposit).
+ * @param {string|null} [options.payer] - The claimed payer when the result
+ *   and payload do not name one.
+ * @param {object|null} [options.payload] - The decoded payment payload.
+ * @param {object} options.req - The payment requirement it was checked
+ *   against.
+ * @param {object} options.result - The `verifyPayment`, `settlePayment`,
+ *   `chargeCredits` or `settleDeposit` result.
+ * @returns {object} The entry; `payer` of a rejected payment is unverified.
+ */
+const buildLedgerEntry = ({
+  startedAt,
+  source = "payment",
+  payer = null,
+  payload = null,
+  req,
+  result,
+}) => ({
+  source,
+  outcome: !result.success
+    ? "rejected"
+    : source === "deposit"
+      ? "deposited"
+      : result.isMemberAccess
+        ? "member_access"
+        : source === "session"
+          ? "session_call"
+          : "paid",
+  errorCode: result.success ? null : result.errorCode || "invalid_payment",
+  error: result.success ? null : (result.error ?? null),
+  payer: result.feePayer ?? payer ?? getPayloadPayer(payload),
+  amount: result.success ? (result.amount ?? null) : null,
+  price: req?.maxAmountRequired ?? null,
+  asset: req?.asset ?? null,
+  resource: req?.resource ?? null,
+  network: req?.network ?? null,
+  txHash: result.txHash ?? null,
+  reference: payload?.payload?.reference ?? null,
+  memberTier: result.memberTier?.name ?? null,
+  memberRules: result.memberRules ?? [],
+  payloadType: !payload
+    ? null
+    : payload.payload?.type === "siws"
+      ? "siws"
+      : "transaction",
+  startedAt,
+  completedAt: new Date(),
+});
+
+/**
+ * Records a verification outcome. Ledger failures are logged and never fail
+ * the payment.
+ * @param {object} outcome - See `buildLedgerEntry`.
+ * @returns {Promise<void>}
+ */
+const recordPayment = async (outcome) => {
+  try {
+    await getPaymentLedger().record(buildLedgerEntry(outcome));
+  } catch (e) {
+    console.error("[ERROR] Failed to record payment in ledger:", e);
+  }
+};
+
+module.exports = {
+  createMemoryLedger,
+  createFirestoreLedger,
+  getPaymentLedger,
+  buildLedgerEntry,
+  recordPayment,
+};
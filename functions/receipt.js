@@ -0,0 +1,114 @@
+/*───────────────────────────────────────────────────────────────────────────*/
+/**
+ * Signed x402 receipts (X-PAYMENT-RESPONSE).
+ * The facilitator signs each receipt with its ed25519 key; any service can
+ * verify one offline with `verifyReceipt` and the key from GET
+ * /facilitator-key. This file only depends on Node's crypto and bs58.
+ */
+/*───────────────────────────────────────────────────────────────────────────*/
+
+const bs58 = require("bs58");
+const crypto = require("crypto");
+
+// Domain separator, bumped if the signed fields ever change
+const RECEIPT_VERSION = "x402-receipt-v1";
+
+// PKCS#8 DER prefix for a raw 32-byte ed25519 seed
+const ED25519_PKCS8_PREFIX = Buffer.from(
+  "302e020100300506032b657004220420",
+  "hex",
+);
+
+/**
+ * Builds the exact bytes a receipt signature covers.
+ * Must stay byte-identical with receiptMessage in host/components/Demo.jsx.
+ * @param {object} receipt - The receipt.
+ * @returns {Buffer} The signed message.
+ */
+const receiptMessage = (receipt) =>
+  Buffer.from(
+    JSON.stringify([
+      RECEIPT_VERSION,
+      receipt.facilitator,
+      receipt.resource,
+      receipt.network ?? null,
+      receipt.payer,
+      receipt.amount,
+      receipt.txHash ?? null,
+      !!receipt.memberAccess,
+      receipt.issuedAt,
+    ]),
+    "utf8",
+  );
+
+/**
+ * Loads an ed25519 signing key from a base58 Solana secret key (64 bytes) or
+ * seed (32 bytes).
+ * @param {string} secret - The base58 secret.
+ * @returns {object} `{ privateKey, publicKey }`; `publicKey` is base58.
+ * @throws {Error} If the secret has the wrong length.
+ */
+const loadReceiptKey = (secret) => {
+  const bytes = Buffer.from(bs58.decode(secret));
+  if (bytes.length !== 64 && bytes.length !== 32) {
+    throw new Error("Receipt key must be a 32-byte seed or 64-byte secret key");
+  }
+  const privateKey = crypto.createPrivateKey({
+    key: Buffer.concat([ED25519_PKCS8_PREFIX, bytes.subarray(0, 32)]),
+    format: "der",
+    type: "pkcs8",
+  });
+  const { x } = crypto.createPublicKey(privateKey).export({ format: "jwk" });
+  return {
+    privateKey,
+    publicKey: bs58.encode(Buffer.from(x, "base64url")),
+  };
+};
+
+/**
+ * Signs a receipt, stamping the facilitator key.
+ * @param {object} receipt - The receipt fields.
+ * @param {object} key - A `loadReceiptKey` result.
+ * @returns {object} The receipt with `facilitator` and a base64 `signature`.
+ */
+const signReceipt = (receipt, key) => {
+  const stamped = { ...receipt, facilitator: key.publicKey };
+  const signature = crypto.sign(null, receiptMessage(stamped), key.privateKey);
+  return { ...stamped, signature: signature.toString("base64") };
+};
+
+/**
+ * Verifies a receipt signature against the expected facilitator key.
+ * @param {object} receipt - The decoded X-PAYMENT-RESPONSE receipt.
+ * @param {string} publicKey - The facilitator's base58 public key.
+ * @returns {boolean} True if the facilitator signed this receipt.
+ */
+const verifyReceipt = (receipt, publicKey) => {
+  if (!receipt?.signature || receipt.facilitator !== publicKey) return false;
+  try {
+    const key = crypto.createPublicKey({
+      key: {
+        kty: "OKP",
+        crv: "Ed25519",
+        x: Buffer.from(bs58.decode(publicKey)).toString("base64url"),
+      },
+      format: "jwk",
+    });
+    return crypto.verify(
+      null,
+      receiptMessage(receipt),
+      key,
+      Buffer.from(receipt.signature, "base64"),
+    );
+  } catch (e) {
+    return false;
+  }
+};
+
+module.exports = {
+  RECEIPT_VERSION,
+  receiptMessage,
+  loadReceiptKey,
+  signReceipt,
+  verifyReceipt,
+};
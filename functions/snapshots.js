@@ -0,0 +1,256 @@
+/*───────────────────────────────────────────────────────────────────────────*/
+/**
+ * Membership snapshots for minimum holding periods (`minHoldingHours`).
+ * The membershipSnapshot job records every holder of the mints those rules
+ * use; the paywall then only counts what a wallet held throughout the
+ * period. The backend is picked by X402_SNAPSHOT_STORE and must be
+ * "firestore" in production, where the job and the paywall run in different
+ * instances.
+ */
+/*───────────────────────────────────────────────────────────────────────────*/
+
+const { Connection, PublicKey } = require("@solana/web3.js");
+const { TOKEN_PROGRAM_ID } = require("@solana/spl-token");
+const { lazyStore } = require("./stores");
+
+/**
+ * Builds the snapshot key for a mint on a network.
+ * @param {string} network - The x402 network.
+ * @param {string} mint - The token mint.
+ * @returns {string} The key.
+ */
+const snapshotKey = (network, mint) => `${network}:${mint}`;
+
+/**
+ * Appends a snapshot to a holder's history, dropping entries older than
+ * needed. The newest entry at or before the retention horizon is kept as the
+ * anchor that proves the holding period.
+ * @param {object[]} history - Prior `{ at, amount }` entries, oldest first.
+ * @param {number} at - Snapshot time (ms).
+ * @param {bigint} amount - Raw balance at `at`.
+ * @param {number} retentionMs - How far back the history must reach.
+ * @returns {object[]} The new history.
+ */
+const appendSnapshot = (history, at, amount, retentionMs) => {
+  const next = [...history, { at, amount }];
+  while (next.length > 1 && next[1].at <= at - retentionMs) next.shift();
+  return next;
+};
+
+/**
+ * Computes the balance held throughout the holding period: the lowest
+ * snapshot balance since the last snapshot taken at least `minHoldingMs` ago.
+ * Holders drop out of the history as soon as a snapshot misses them, so the
+ * entries are consecutive.
+ * @param {object[]} history - `{ at, amount }` entries, oldest first.
+ * @param {number} minHoldingMs - The holding period (ms).
+ * @param {number} [now] - The current time (ms).
+ * @returns {bigint} The held raw amount (0 if not held long enough).
+ */
+const getHeldAmount = (history, minHoldingMs, now = Date.now()) => {
+  const anchor = history.findLastIndex(
+    (entry) => entry.at <= now - minHoldingMs,
+  );
+  if (anchor === -1) return 0n;
+  return history
+    .slice(anchor)
+    .reduce(
+      (min, entry) => (entry.amount < min ? entry.amount : min),
+      history[anchor].amount,
+    );
+};
+
+/**
+ * Creates an in-memory snapshot store.
+ * @returns {object} Store with `recordSnapshot` and `getHistory`.
+ */
+const createMemorySnapshotStore = () => {
+  const snapshots = new Map(); // key -> Map(owner -> history)
+  return {
+    /**
+     * Records one snapshot of all holders of a mint.
+     * @param {string} key - The `snapshotKey`.
+     * @param {number} at - Snapshot time (ms).
+     * @param {Map<string, bigint>} holders - Raw balance by owner.
+     * @param {number} retentionMs - How far back histories must reach.
+     */
+    async recordSnapshot(key, at, holders, retentionMs) {
+      const previous = snapshots.get(key) ?? new Map();
+      const next = new Map();
+      for (const [owner, amount] of holders) {
+        next.set(
+          owner,
+          appendSnapshot(previous.get(owner) ?? [], at, amount, retentionMs),
+        );
+      }
+      snapshots.set(key, next);
+    },
+    /**
+     * Returns a holder's snapshot history.
+     * @param {string} key - The `snapshotKey`.
+     * @param {PublicKey} owner - The holder.
+     * @returns {Promise<object[]>} `{ at, amount }` entries, oldest first.
+     */
+    async getHistory(key, owner) {
+      return snapshots.get(key)?.get(owner.toBase58()) ?? [];
+    },
+  };
+};
+
+/**
+ * Creates a Firestore-backed snapshot store with one document per holder and
+ * mint.
+ * @param {Firestore} db - Firestore instance (production or emulator).
+ * @param {string} [collection] - Collection holding holder histories.
+ * @returns {object} Store with `recordSnapshot` and `getHistory`.
+ */
+const createFirestoreSnapshotStore = (
+  db,
+  collection = "x402MembershipSnapshots",
+) => {
+  const docId = (key, owner) => `${key}:${owner}`;
+  const toHistory = (entries = []) =>
+    entries.map(({ at, amount }) => ({ at, amount: BigInt(amount) }));
+  return {
+    async recordSnapshot(key, at, holders, retentionMs) {
+      const previous = new Map();
+      const existing = await db
+        .collection(collection)
+        .where("key", "==", key)
+        .get();
+      existing.forEach((doc) =>
+        previous.set(doc.get("owner"), toHistory(doc.get("history"))),
+      );
+
+      // Holders missing from this snapshot lose their history
+      const writes = [];
+      for (const owner of previous.keys()) {
+        if (!holders.has(owner))
+          writes.push((batch) =>
+            batch.delete(db.collection(collection).doc(docId(key, owner))),
+          );
+      }
+      for (const [owner, amount] of holders) {
+        const history = appendSnapshot(
+          previous.get(owner) ?? [],
+          at,
+          amount,
+          retentionMs,
+        ).map((entry) => ({ at: entry.at, amount: entry.amount.toString() }));
+        writes.push((batch) =>
+          batch.set(db.collection(collection).doc(docId(key, owner)), {
+            key,
+            owner,
+            history,
+          }),
+        );
+      }
+      // Firestore batches hold at most 500 writes
+      for (let i = 0; i < writes.length; i += 500) {
+        const batch = db.batch();
+        writes.slice(i, i + 500).forEach((write) => write(batch));
+        await batch.commit();
+      }
+    },
+    async getHistory(key, owner) {
+      const doc = await db
+        .collection(collection)
+        .doc(docId(key, owner.toBase58()))
+        .get();
+      return doc.exists ? toHistory(doc.get("history")) : [];
+    },
+  };
+};
+
+// Snapshot store selected by X402_SNAPSHOT_STORE
+const getSnapshotStore = lazyStore("X402_SNAPSHOT_STORE", {
+  memory: createMemorySnapshotStore,
+  firestore: createFirestoreSnapshotStore,
+});
+
+/**
+ * Fetches every holder of a mint with their raw balance summed per owner.
+ * @param {Connection} connection - Solana connection instance.
+ * @param {string} mint - The token mint.
+ * @returns {Promise<Map<string, bigint>>} Raw balance by owner.
+ */
+const fetchHolders = async (connection, mint) => {
+  const mintPubkey = new PublicKey(mint);
+  const mintAccount = await connection.getAccountInfo(mintPubkey);
+  if (!mintAccount) throw new Error(`Mint ${mint} not found`);
+  const programId = mintAccount.owner;
+
+  // Token accounts start with their mint; classic ones are 165 bytes
+  const accounts = await connection.getParsedProgramAccounts(programId, {
+    filters: [
+      ...(programId.equals(TOKEN_PROGRAM_ID) ? [{ dataSize: 165 }] : []),
+      { memcmp: { offset: 0, bytes: mint } },
+    ],
+  });
+  const holders = new Map();
+  for (const { account } of accounts) {
+    if (account.data.parsed?.type !== "account") continue;
+    const { owner, tokenAmount } = account.data.parsed.info;
+    const amount = BigInt(tokenAmount.amount);
+    if (amount === 0n) continue;
+    holders.set(owner, (holders.get(owner) ?? 0n) + amount);
+  }
+  return holders;
+};
+
+/**
+ * Records a snapshot of the holders of every mint used by a holding-period
+ * rule. A failing mint is logged and does not stop the others.
+ * @param {object[]} targets - `{ network, rpcUrl, mint, minHoldingHours }`
+ *   per mint, as listed by `getHoldingPeriodMints` in index.js.
+ * @param {object} options - Snapshot options.
+ * @param {number} options.intervalMinutes - How often the job runs.
+ * @param {number} [options.at] - Snapshot time (ms).
+ * @param {object} [options.store] - Snapshot store (the configured one by
+ *   default).
+ * @param {Function} [options.connect] - Returns a Connection for an RPC URL.
+ * @returns {Promise<number>} How many mints were recorded.
+ */
+const runMembershipSnapshot = async (
+  targets,
+  {
+    intervalMinutes,
+    at = Date.now(),
+    store = getSnapshotStore(),
+    connect = (rpcUrl) => new Connection(rpcUrl),
+  },
+) => {
+  let recorded = 0;
+  for (const target of targets) {
+    try {
+      const holders = await fetchHolders(connect(target.rpcUrl), target.mint);
+      // Keep a spare interval so the anchor survives a late run
+      const retentionMs =
+        target.minHoldingHours * 3_600_000 + 2 * intervalMinutes * 60_000;
+      await store.recordSnapshot(
+        snapshotKey(target.network, target.mint),
+        at,
+        holders,
+        retentionMs,
+      );
+      console.log(
+        `[DEBUG] Snapshot ${target.network} ${target.mint}: ${holders.size} holders`,
+      );
+      recorded++;
+    } catch (e) {
+      console.error(`[ERROR] Snapshot of ${target.mint} failed:`, e);
+    }
+  }
+  return recorded;
+};
+
+module.exports = {
+  snapshotKey,
+  appendSnapshot,
+  getHeldAmount,
+  createMemorySnapshotStore,
+  createFirestoreSnapshotStore,
+  getSnapshotStore,
+  fetchHolders,
+  runMembershipSnapshot,
+};
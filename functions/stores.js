@@ -0,0 +1,299 @@
+/*───────────────────────────────────────────────────────────────────────────*/
+/**
+ * Storage backends for the x402 functions.
+ * Each store comes in two flavours picked by an X402_*_STORE environment
+ * variable: "memory" (the default) only sees a single function instance and
+ * suits tests and the emulator; "firestore" is shared by all instances and is
+ * what production deployments use. Firestore documents carry `expiresAt`
+ * where entries are temporary; configure a TTL policy on that field to have
+ * Firestore purge them.
+ */
+/*───────────────────────────────────────────────────────────────────────────*/
+
+const { initializeApp, getApps } = require("firebase-admin/app");
+const { getFirestore } = require("firebase-admin/firestore");
+
+/**
+ * Returns the default Firestore instance, initializing firebase-admin once.
+ * Honors FIRESTORE_EMULATOR_HOST when running against the emulator.
+ * @returns {Firestore} The Firestore instance.
+ */
+const getDb = () => {
+  if (!getApps().length) initializeApp();
+  return getFirestore();
+};
+
+/**
+ * Creates the store backend named by an environment variable.
+ * @param {string} envVar - The variable, e.g. "X402_NONCE_STORE".
+ * @param {object} backends - `{ memory, firestore }` factories; `firestore`
+ *   receives the Firestore instance.
+ * @returns {object} The store ("memory" when the variable is unset).
+ * @throws {Error} If the variable names an unknown backend.
+ */
+const selectStore = (envVar, { memory, firestore }) => {
+  const backend = process.env[envVar] || "memory";
+  if (backend === "memory") return memory();
+  if (backend === "firestore") return firestore(getDb());
+  throw new Error(`Unknown ${envVar} "${backend}"`);
+};
+
+/**
+ * Wraps `selectStore` so the store is created on first use and then shared.
+ * @param {string} envVar - The variable, e.g. "X402_NONCE_STORE".
+ * @param {object} backends - See `selectStore`.
+ * @returns {Function} Getter returning the store.
+ */
+const lazyStore = (envVar, backends) => {
+  let store = null;
+  return () => (store ??= selectStore(envVar, backends));
+};
+
+/*───────────────────────────────────────────────────────────────────────────*/
+// 🗄️  Used Payload Store (replay protection for unbroadcast payloads)
+/*───────────────────────────────────────────────────────────────────────────*/
+
+/**
+ * Creates an in-memory used-payload store.
+ * @returns {object} Store with `claim(key, ttlSeconds)` and `release(key)`.
+ */
+const createMemoryPayloadStore = () => {
+  const entries = new Map(); // key -> expiresAt (ms)
+  return {
+    /**
+     * Atomically marks a key as used.
+     * @param {string} key - Tx signature or memo reference key.
+     * @param {number} ttlSeconds - How long the key stays used.
+     * @returns {Promise<boolean>} False if the key was already used.
+     */
+    async claim(key, ttlSeconds) {
+      const now = Date.now();
+      for (const [k, expiresAt] of entries) {
+        if (expiresAt <= now) entries.delete(k);
+      }
+      if (entries.has(key)) return false;
+      entries.set(key, now + ttlSeconds * 1000);
+      return true;
+    },
+    /**
+     * Frees a claimed key, e.g. for a payment that was never settled.
+     * @param {string} key - Tx signature or memo reference key.
+     * @returns {Promise<void>}
+     */
+    async release(key) {
+      entries.delete(key);
+    },
+  };
+};
+
+/**
+ * Creates a Firestore-backed used-payload store.
+ * @param {Firestore} db - Firestore instance (production or emulator).
+ * @param {string} [collection] - Collection holding used payload keys.
+ * @returns {object} Store with `claim(key, ttlSeconds)` and `release(key)`.
+ */
+const createFirestorePayloadStore = (db, collection = "x402UsedPayloads") => ({
+  async claim(key, ttlSeconds) {
+    const ref = db.collection(collection).doc(key);
+    return db.runTransaction(async (t) => {
+      const snap = await t.get(ref);
+      const now = Date.now();
+      if (snap.exists && snap.get("expiresAt").toMillis() > now) return false;
+      t.set(ref, {
+        usedAt: new Date(now),
+        expiresAt: new Date(now + ttlSeconds * 1000),
+      });
+      return true;
+    });
+  },
+  async release(key) {
+    await db.collection(collection).doc(key).delete();
+  },
+});
+
+// Used-payload store selected by X402_NONCE_STORE
+const getPayloadStore = lazyStore("X402_NONCE_STORE", {
+  memory: createMemoryPayloadStore,
+  firestore: createFirestorePayloadStore,
+});
+
+/*───────────────────────────────────────────────────────────────────────────*/
+// ⏱️  Session Quotas (calls left on pay-once bearer tokens)
+/*───────────────────────────────────────────────────────────────────────────*/
+
+/**
+ * Creates an in-memory session quota store.
+ * @returns {object} Store with `consume(sid, maxCalls, expiresAt)`.
+ */
+const createMemorySessionStore = () => {
+  const sessions = new Map(); // sid -> { used, expiresAt }
+  return {
+    /**
+     * Atomically counts one call against a session's quota.
+     * @param {string} sid - The session ID.
+     * @param {number} maxCalls - Calls allowed in the session.
+     * @param {number} expiresAt - Session expiry (ms).
+     * @returns {Promise<number>} Calls left after this one, or -1 if the
+     *   quota was already used up.
+     */
+    async consume(sid, maxCalls, expiresAt) {
+      const now = Date.now();
+      for (const [key, entry] of sessions) {
+        if (entry.expiresAt <= now) sessions.delete(key);
+      }
+      const used = sessions.get(sid)?.used ?? 0;
+      if (used >= maxCalls) return -1;
+      sessions.set(sid, { used: used + 1, expiresAt });
+      return maxCalls - used - 1;
+    },
+  };
+};
+
+/**
+ * Creates a Firestore-backed session quota store.
+ * @param {Firestore} db - Firestore instance (production or emulator).
+ * @param {string} [collection] - Collection holding session call counts.
+ * @returns {object} Store with `consume(sid, maxCalls, expiresAt)`.
+ */
+const createFirestoreSessionStore = (db, collection = "x402Sessions") => ({
+  async consume(sid, maxCalls, expiresAt) {
+    const ref = db.collection(collection).doc(sid);
+    return db.runTransaction(async (t) => {
+      const snap = await t.get(ref);
+      const used = snap.exists ? snap.get("used") : 0;
+      if (used >= maxCalls) return -1;
+      t.set(ref, { used: used + 1, expiresAt: new Date(expiresAt) });
+      return maxCalls - used - 1;
+    });
+  },
+});
+
+// Session quota store selected by X402_SESSION_STORE
+const getSessionStore = lazyStore("X402_SESSION_STORE", {
+  memory: createMemorySessionStore,
+  firestore: createFirestoreSessionStore,
+});
+
+/*───────────────────────────────────────────────────────────────────────────*/
+// 🔁  Response Cache (idempotent retries)
+/*───────────────────────────────────────────────────────────────────────────*/
+
+/**
+ * Creates an in-memory response cache.
+ * @returns {object} Cache with `get(key)`, `reserve(key, ttlSeconds)`,
+ *   `put(key, entry, ttlSeconds)` and `release(key)`.
+ */
+const createMemoryResponseCache = () => {
+  const entries = new Map(); // key -> { entry, expiresAt }
+  return {
+    /**
+     * Looks up a cached response.
+     * @param {string} key - The idempotency cache key.
+     * @returns {Promise<object|null>} `{ status, headers, body }`, `{
+     *   pending: true }` while the response is being produced, or null.
+     */
+    async get(key) {
+      const cached = entries.get(key);
+      return cached && cached.expiresAt > Date.now() ? cached.entry : null;
+    },
+    /**
+     * Atomically marks a key as pending until its response is cached.
+     * @param {string} key - The idempotency cache key.
+     * @param {number} ttlSeconds - How long the marker holds at most.
+     * @returns {Promise<boolean>} False if the key is pending or cached.
+     */
+    async reserve(key, ttlSeconds) {
+      const now = Date.now();
+      if (entries.get(key)?.expiresAt > now) return false;
+      entries.set(key, {
+        entry: { pending: true },
+        expiresAt: now + ttlSeconds * 1000,
+      });
+      return true;
+    },
+    /**
+     * Caches a response.
+     * @param {string} key - The idempotency cache key.
+     * @param {object} entry - `{ status, headers, body }`; `body` is base64.
+     * @param {number} ttlSeconds - How long retries get the response.
+     * @returns {Promise<void>}
+     */
+    async put(key, entry, ttlSeconds) {
+      const now = Date.now();
+      for (const [k, cached] of entries) {
+        if (cached.expiresAt <= now) entries.delete(k);
+      }
+      entries.set(key, { entry, expiresAt: now + ttlSeconds * 1000 });
+    },
+    /**
+     * Drops a pending marker whose response will not be cached.
+     * @param {string} key - The idempotency cache key.
+     * @returns {Promise<void>}
+     */
+    async release(key) {
+      entries.delete(key);
+    },
+  };
+};
+
+/**
+ * Creates a Firestore-backed response cache.
+ * @param {Firestore} db - Firestore instance (production or emulator).
+ * @param {string} [collection] - Collection holding cached responses.
+ * @returns {object} Cache with `get(key)`, `reserve(key, ttlSeconds)`,
+ *   `put(key, entry, ttlSeconds)` and `release(key)`.
+ */
+const createFirestoreResponseCache = (db, collection = "x402Idempotency") => ({
+  async get(key) {
+    const snap = await db.collection(collection).doc(key).get();
+    if (!snap.exists || snap.get("expiresAt").toMillis() <= Date.now()) {
+      return null;
+    }
+    if (snap.get("pending")) return { pending: true };
+    const { status, headers, body } = snap.data();
+    return { status, headers, body };
+  },
+  async reserve(key, ttlSeconds) {
+    const ref = db.collection(collection).doc(key);
+    return db.runTransaction(async (t) => {
+      const snap = await t.get(ref);
+      const now = Date.now();
+      if (snap.exists && snap.get("expiresAt").toMillis() > now) return false;
+      t.set(ref, {
+        pending: true,
+        expiresAt: new Date(now + ttlSeconds * 1000),
+      });
+      return true;
+    });
+  },
+  async put(key, entry, ttlSeconds) {
+    await db
+      .collection(collection)
+      .doc(key)
+      .set({ ...entry, expiresAt: new Date(Date.now() + ttlSeconds * 1000) });
+  },
+  async release(key) {
+    await db.collection(collection).doc(key).delete();
+  },
+});
+
+// Response cache selected by X402_IDEMPOTENCY_STORE
+const getResponseCache = lazyStore("X402_IDEMPOTENCY_STORE", {
+  memory: createMemoryResponseCache,
+  firestore: createFirestoreResponseCache,
+});
+
+module.exports = {
+  getDb,
+  selectStore,
+  lazyStore,
+  createMemoryPayloadStore,
+  createFirestorePayloadStore,
+  getPayloadStore,
+  createMemorySessionStore,
+  createFirestoreSessionStore,
+  getSessionStore,
+  createMemoryResponseCache,
+  createFirestoreResponseCache,
+  getResponseCache,
+};
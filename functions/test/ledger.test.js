@@ -0,0 +1,128 @@
+const assert = require("node:assert/strict");
+const { describe, it } = require("node:test");
+const {
+  buildLedgerEntry,
+  createFirestoreLedger,
+  createMemoryLedger,
+} = require("../ledger");
+const { getDb } = require("../stores");
+
+// Firestore cases run against the emulator (`npm run test:emulator`)
+process.env.GCLOUD_PROJECT ??= "demo-x402";
+const emulatorSkip =
+  !process.env.FIRESTORE_EMULATOR_HOST && "FIRESTORE_EMULATOR_HOST is unset";
+const run = Date.now().toString(36);
+
+const backends = [
+  { name: "memory", create: createMemoryLedger, skip: false },
+  {
+    name: "firestore",
+    create: () => createFirestoreLedger(getDb(), `test-ledger-${run}`),
+    skip: emulatorSkip,
+  },
+];
+
+/**
+ * Builds a minimal ledger entry.
+ * @param {string} payer - The payer's address.
+ * @param {string} startedAt - ISO timestamp.
+ * @returns {object} The entry.
+ */
+const entry = (payer, startedAt) => ({
+  outcome: "paid",
+  payer,
+  txHash: `${payer}-${startedAt}`,
+  startedAt: new Date(startedAt),
+  completedAt: new Date(Date.parse(startedAt) + 500),
+});
+
+for (const { name, create, skip } of backends) {
+  describe(`${name} payment ledger`, { skip }, () => {
+    it("filters by wallet and date, newest first", async () => {
+      const ledger = create();
+      for (const [payer, at] of [
+        ["alice", "2025-01-01T00:00:00.000Z"],
+        ["bob", "2025-01-02T00:00:00.000Z"],
+        ["alice", "2025-01-03T00:00:00.000Z"],
+        ["alice", "2025-01-04T00:00:00.000Z"],
+      ]) {
+        await ledger.record(entry(payer, at));
+      }
+
+      const all = await ledger.query({ limit: 10 });
+      assert.deepEqual(
+        all.map((e) => e.startedAt),
+        [
+          "2025-01-04T00:00:00.000Z",
+          "2025-01-03T00:00:00.000Z",
+          "2025-01-02T00:00:00.000Z",
+          "2025-01-01T00:00:00.000Z",
+        ],
+      );
+      assert.equal(all[0].completedAt, "2025-01-04T00:00:00.500Z");
+      assert.ok(all.every((e) => e.id));
+
+      const alice = await ledger.query({
+        wallet: "alice",
+        from: new Date("2025-01-01T00:00:00.000Z"),
+        to: new Date("2025-01-04T00:00:00.000Z"),
+        limit: 10,
+      });
+      assert.deepEqual(
+        alice.map((e) => e.txHash),
+        ["alice-2025-01-03T00:00:00.000Z", "alice-2025-01-01T00:00:00.000Z"],
+      );
+
+      const latest = await ledger.query({ wallet: "alice", limit: 1 });
+      assert.deepEqual(
+        latest.map((e) => e.startedAt),
+        ["2025-01-04T00:00:00.000Z"],
+      );
+    });
+  });
+}
+
+describe("buildLedgerEntry", () => {
+  const startedAt = new Date("2025-01-01T00:00:00.000Z");
+  const req = {
+    maxAmountRequired: "10000",
+    asset: "usdc-mint",
+    resource: "GET /weather",
+    network: "solana-devnet",
+  };
+
+  it("names the outcome after how the call was paid", () => {
+    const outcome = (source, result) =>
+      buildLedgerEntry({ startedAt, source, req, result }).outcome;
+    const paid = { success: true, feePayer: "alice", amount: "10000" };
+    assert.equal(outcome(undefined, paid), "paid");
+    assert.equal(outcome("credits", paid), "paid");
+    assert.equal(outcome("deposit", paid), "deposited");
+    assert.equal(outcome("session", { success: true }), "session_call");
+    assert.equal(
+      outcome("session", { success: true, isMemberAccess: true }),
+      "member_access",
+    );
+    assert.equal(outcome("credits", { success: false }), "rejected");
+  });
+
+  it("records rejections with the claimed payer", () => {
+    const entry = buildLedgerEntry({
+      startedAt,
+      source: "credits",
+      payer: "mallory",
+      req,
+      result: {
+        success: false,
+        error: "Invalid credits request signature",
+        errorCode: "invalid_signature",
+      },
+    });
+    assert.equal(entry.source, "credits");
+    assert.equal(entry.payer, "mallory");
+    assert.equal(entry.amount, null);
+    assert.equal(entry.price, "10000");
+    assert.equal(entry.errorCode, "invalid_signature");
+    assert.equal(entry.payloadType, null);
+  });
+});
@@ -0,0 +1,186 @@
+const assert = require("node:assert/strict");
+const { describe, it } = require("node:test");
+const { Keypair, PublicKey } = require("@solana/web3.js");
+const {
+  TOKEN_2022_PROGRAM_ID,
+  TOKEN_PROGRAM_ID,
+} = require("@solana/spl-token");
+const {
+  appendSnapshot,
+  createMemorySnapshotStore,
+  fetchHolders,
+  getHeldAmount,
+  runMembershipSnapshot,
+  snapshotKey,
+} = require("../snapshots");
+
+const HOUR = 3_600_000;
+const mint = Keypair.generate().publicKey.toBase58();
+const alice = Keypair.generate().publicKey.toBase58();
+const bob = Keypair.generate().publicKey.toBase58();
+
+/**
+ * Builds a parsed token account as returned by getParsedProgramAccounts.
+ * @param {string} owner - The holder.
+ * @param {string} amount - Raw balance.
+ * @returns {object} The program account.
+ */
+const tokenAccount = (owner, amount) => ({
+  pubkey: Keypair.generate().publicKey,
+  account: {
+    data: {
+      parsed: { type: "account", info: { owner, tokenAmount: { amount } } },
+    },
+  },
+});
+
+/**
+ * Mocks the Connection calls fetchHolders makes.
+ * @param {object} mints - Mint address -> `{ programId, accounts }`.
+ * @returns {object} The connection, recording the filters it was asked for.
+ */
+const mockConnection = (mints) => {
+  const calls = [];
+  return {
+    calls,
+    async getAccountInfo(pubkey) {
+      const entry = mints[pubkey.toBase58()];
+      return entry ? { owner: entry.programId } : null;
+    },
+    async getParsedProgramAccounts(programId, { filters }) {
+      calls.push({ programId, filters });
+      const mintFilter = filters.find((f) => f.memcmp).memcmp.bytes;
+      return mints[mintFilter].accounts;
+    },
+  };
+};
+
+describe("appendSnapshot", () => {
+  it("keeps the newest entry at or before the retention horizon", () => {
+    let history = [];
+    for (let hour = 0; hour <= 5; hour++) {
+      history = appendSnapshot(history, hour * HOUR, BigInt(hour), 2 * HOUR);
+    }
+    assert.deepEqual(
+      history.map((entry) => entry.at),
+      [3 * HOUR, 4 * HOUR, 5 * HOUR],
+    );
+  });
+});
+
+describe("getHeldAmount", () => {
+  const history = [
+    { at: 0, amount: 50n },
+    { at: HOUR, amount: 20n },
+    { at: 2 * HOUR, amount: 80n },
+    { at: 3 * HOUR, amount: 90n },
+  ];
+
+  it("returns the lowest balance since the anchor snapshot", () => {
+    assert.equal(getHeldAmount(history, 2 * HOUR, 3 * HOUR), 20n);
+    assert.equal(getHeldAmount(history, HOUR, 3 * HOUR), 80n);
+  });
+
+  it("returns 0 when the holder was not seen long enough ago", () => {
+    assert.equal(getHeldAmount(history, 4 * HOUR, 3 * HOUR), 0n);
+    assert.equal(getHeldAmount([], HOUR, 3 * HOUR), 0n);
+  });
+});
+
+describe("fetchHolders", () => {
+  it("sums balances per owner and skips empty accounts", async () => {
+    const connection = mockConnection({
+      [mint]: {
+        programId: TOKEN_PROGRAM_ID,
+        accounts: [
+          tokenAccount(alice, "30"),
+          tokenAccount(alice, "12"),
+          tokenAccount(bob, "0"),
+          { account: { data: { parsed: { type: "mint" } } } },
+        ],
+      },
+    });
+    const holders = await fetchHolders(connection, mint);
+    assert.deepEqual([...holders], [[alice, 42n]]);
+    assert.deepEqual(connection.calls[0].filters, [
+      { dataSize: 165 },
+      { memcmp: { offset: 0, bytes: mint } },
+    ]);
+  });
+
+  it("does not filter Token-2022 accounts by size", async () => {
+    const connection = mockConnection({
+      [mint]: {
+        programId: TOKEN_2022_PROGRAM_ID,
+        accounts: [tokenAccount(bob, "7")],
+      },
+    });
+    assert.deepEqual([...(await fetchHolders(connection, mint))], [[bob, 7n]]);
+    assert.ok(connection.calls[0].programId.equals(TOKEN_2022_PROGRAM_ID));
+    assert.deepEqual(connection.calls[0].filters, [
+      { memcmp: { offset: 0, bytes: mint } },
+    ]);
+  });
+
+  it("rejects an unknown mint", async () => {
+    await assert.rejects(fetchHolders(mockConnection({}), mint), /not found/);
+  });
+});
+
+describe("runMembershipSnapshot", () => {
+  const target = {
+    network: "solana-devnet",
+    rpcUrl: "http://rpc.test",
+    mint,
+    minHoldingHours: 2,
+  };
+
+  it("records each target and drops holders that sold out", async () => {
+    const store = createMemorySnapshotStore();
+    const accounts = [tokenAccount(alice, "100"), tokenAccount(bob, "5")];
+    const connect = (rpcUrl) => {
+      assert.equal(rpcUrl, target.rpcUrl);
+      return mockConnection({
+        [mint]: { programId: TOKEN_PROGRAM_ID, accounts },
+      });
+    };
+    const options = { intervalMinutes: 60, store, connect };
+
+    for (let hour = 0; hour <= 3; hour++) {
+      if (hour === 2) accounts.pop(); // bob sells everything
+      const recorded = await runMembershipSnapshot([target], {
+        ...options,
+        at: hour * HOUR,
+      });
+      assert.equal(recorded, 1);
+    }
+
+    const key = snapshotKey(target.network, mint);
+    const aliceHistory = await store.getHistory(key, new PublicKey(alice));
+    assert.equal(aliceHistory.length, 4);
+    assert.equal(getHeldAmount(aliceHistory, 2 * HOUR, 3 * HOUR), 100n);
+    assert.deepEqual(await store.getHistory(key, new PublicKey(bob)), []);
+  });
+
+  it("keeps going when one mint fails", async () => {
+    const store = createMemorySnapshotStore();
+    const missing = {
+      ...target,
+      mint: Keypair.generate().publicKey.toBase58(),
+    };
+    const connect = () =>
+      mockConnection({
+        [mint]: {
+          programId: TOKEN_PROGRAM_ID,
+          accounts: [tokenAccount(alice, "1")],
+        },
+      });
+    const recorded = await runMembershipSnapshot([missing, target], {
+      intervalMinutes: 60,
+      at: 0,
+      store,
+      connect,
+    });
+    assert.equal(recorded, 1);
+  });
+});
@@ -0,0 +1,94 @@
+const assert = require("node:assert/strict");
+const { describe, it } = require("node:test");
+const {
+  createFirestorePayloadStore,
+  createFirestoreResponseCache,
+  createMemoryPayloadStore,
+  createMemoryResponseCache,
+  getDb,
+} = require("../stores");
+
+// Firestore cases run against the emulator (`npm run test:emulator`)
+process.env.GCLOUD_PROJECT ??= "demo-x402";
+const emulatorSkip =
+  !process.env.FIRESTORE_EMULATOR_HOST && "FIRESTORE_EMULATOR_HOST is unset";
+const run = Date.now().toString(36);
+
+const backends = [
+  {
+    name: "memory",
+    payloads: createMemoryPayloadStore,
+    responses: createMemoryResponseCache,
+    skip: false,
+  },
+  {
+    name: "firestore",
+    payloads: () => createFirestorePayloadStore(getDb(), `test-used-${run}`),
+    responses: () =>
+      createFirestoreResponseCache(getDb(), `test-idempotency-${run}`),
+    skip: emulatorSkip,
+  },
+];
+
+for (const { name, payloads, responses, skip } of backends) {
+  describe(`${name} payload store`, { skip }, () => {
+    it("claims a key once", async () => {
+      const store = payloads();
+      assert.equal(await store.claim("tx:a", 60), true);
+      assert.equal(await store.claim("tx:a", 60), false);
+      assert.equal(await store.claim("tx:b", 60), true);
+    });
+
+    it("lets exactly one of concurrent claims win", async () => {
+      const store = payloads();
+      const results = await Promise.all(
+        Array.from({ length: 3 }, () => store.claim("ref:race", 60)),
+      );
+      assert.equal(results.filter(Boolean).length, 1);
+    });
+
+    it("frees a released key", async () => {
+      const store = payloads();
+      assert.equal(await store.claim("tx:cancelled", 60), true);
+      await store.release("tx:cancelled");
+      assert.equal(await store.claim("tx:cancelled", 60), true);
+    });
+
+    it("frees a key once it expires", async () => {
+      const store = payloads();
+      assert.equal(await store.claim("tx:short", 0), true);
+      assert.equal(await store.claim("tx:short", 60), true);
+      assert.equal(await store.claim("tx:short", 60), false);
+    });
+  });
+  describe(`${name} response cache`, { skip }, () => {
+    const response = { status: 200, headers: {}, body: "e30=" };
+
+    it("holds a pending marker until the response is cached", async () => {
+      const cache = responses();
+      assert.equal(await cache.get("k1"), null);
+      assert.equal(await cache.reserve("k1", 60), true);
+      assert.equal(await cache.reserve("k1", 60), false);
+      assert.deepEqual(await cache.get("k1"), { pending: true });
+      await cache.put("k1", response, 60);
+      assert.deepEqual(await cache.get("k1"), response);
+      assert.equal(await cache.reserve("k1", 60), false);
+    });
+
+    it("lets exactly one of concurrent reservations win", async () => {
+      const cache = responses();
+      const results = await Promise.all(
+        Array.from({ length: 3 }, () => cache.reserve("k3", 60)),
+      );
+      assert.equal(results.filter(Boolean).length, 1);
+    });
+
+    it("frees a released marker", async () => {
+      const cache = responses();
+      assert.equal(await cache.reserve("k2", 60), true);
+      await cache.release("k2");
+      assert.equal(await cache.get("k2"), null);
+      assert.equal(await cache.reserve("k2", 60), true);
+    });
+  });
+}
@@ -0,0 +1,391 @@
+const assert = require("node:assert/strict");
+const crypto = require("node:crypto");
+const { describe, it } = require("node:test");
+const {
+  ComputeBudgetProgram,
+  Keypair,
+  PublicKey,
+  SystemProgram,
+  Transaction,
+  TransactionInstruction,
+  TransactionMessage,
+  VersionedTransaction,
+} = require("@solana/web3.js");
+const {
+  TOKEN_2022_PROGRAM_ID,
+  createApproveInstruction,
+  createCloseAccountInstruction,
+  createTransferCheckedInstruction,
+} = require("@solana/spl-token");
+const {
+  MEMO_PROGRAM_IDS,
+  checkInstructionPolicy,
+  createPaymentReference,
+  getMemo,
+  isReferenceFor,
+  maxComputeUnitPrice,
+  verifyEd25519,
+  verifyPaymentReference,
+  verifyTransactionSignatures,
+} = require("../verification");
+
+const payer = Keypair.generate();
+const merchant = Keypair.generate().publicKey;
+const mint = Keypair.generate().publicKey;
+const payerAta = Keypair.generate().publicKey;
+
+/**
+ * Decodes a serialized legacy transaction into the view index.js builds
+ * (see decodeTransaction).
+ * @param {Buffer} wire - The serialized transaction.
+ * @returns {object} The decoded transaction view.
+ */
+const decode = (wire) => {
+  const vtx = VersionedTransaction.deserialize(wire);
+  const { message } = vtx;
+  const signerKeys = message.staticAccountKeys.slice(
+    0,
+    message.header.numRequiredSignatures,
+  );
+  return {
+    feePayer: signerKeys[0] ?? null,
+    signatures: signerKeys.map((publicKey, i) => ({
+      publicKey,
+      signature: vtx.signatures[i]?.some((b) => b !== 0)
+        ? Buffer.from(vtx.signatures[i])
+        : null,
+    })),
+    instructions: TransactionMessage.decompile(message).instructions,
+    serializeMessage: () => message.serialize(),
+  };
+};
+
+/**
+ * Builds an unsigned SOL payment from `payer` to the merchant.
+ * @param {...TransactionInstruction} extra - Instructions to append.
+ * @returns {Transaction} The transaction.
+ */
+const payment = (...extra) =>
+  new Transaction({
+    feePayer: payer.publicKey,
+    recentBlockhash: Keypair.generate().publicKey.toBase58(),
+  }).add(
+    SystemProgram.transfer({
+      fromPubkey: payer.publicKey,
+      toPubkey: merchant,
+      lamports: 1000,
+    }),
+    ...extra,
+  );
+
+/**
+ * Builds a memo instruction.
+ * @param {string} text - The memo.
+ * @param {string} [programId] - The memo program.
+ * @returns {TransactionInstruction} The instruction.
+ */
+const memo = (text, programId = MEMO_PROGRAM_IDS[0]) =>
+  new TransactionInstruction({
+    keys: [],
+    programId: new PublicKey(programId),
+    data: Buffer.from(text),
+  });
+
+/**
+ * Builds a USDC-style `transferChecked` from the payer to the merchant.
+ * @param {PublicKey} [programId] - The token program.
+ * @returns {TransactionInstruction} The instruction.
+ */
+const tokenTransfer = (programId) =>
+  createTransferCheckedInstruction(
+    payerAta,
+    mint,
+    merchant,
+    payer.publicKey,
+    10_000,
+    6,
+    [],
+    programId,
+  );
+
+/**
+ * Decodes an unsigned payment carrying the given instructions.
+ * @param {...TransactionInstruction} instructions - Its instructions.
+ * @returns {object} The decoded transaction view.
+ */
+const view = (...instructions) =>
+  decode(
+    wire(
+      new Transaction({
+        feePayer: payer.publicKey,
+        recentBlockhash: Keypair.generate().publicKey.toBase58(),
+      }).add(...instructions),
+    ),
+  );
+
+/**
+ * Signs bytes with a keypair's ed25519 key.
+ * @param {Keypair} keypair - The signer.
+ * @param {Uint8Array} message - The bytes to sign.
+ * @returns {Buffer} The 64-byte signature.
+ */
+const sign = (keypair, message) =>
+  crypto.sign(
+    null,
+    Buffer.from(message),
+    crypto.createPrivateKey({
+      key: {
+        kty: "OKP",
+        crv: "Ed25519",
+        d: Buffer.from(keypair.secretKey.slice(0, 32)).toString("base64url"),
+        x: keypair.publicKey.toBuffer().toString("base64url"),
+      },
+      format: "jwk",
+    }),
+  );
+
+/**
+ * Serializes a transaction without checking its signatures.
+ * @param {Transaction} tx - The transaction.
+ * @returns {Buffer} The wire format.
+ */
+const wire = (tx) => tx.serialize({ verifySignatures: false });
+
+describe("verifyEd25519", () => {
+  const message = Buffer.from("x402");
+  const signature = sign(payer, message);
+
+  it("accepts a valid signature", () => {
+    assert.equal(verifyEd25519(message, signature, payer.publicKey), true);
+  });
+
+  it("rejects another message, key or signature length", () => {
+    assert.equal(
+      verifyEd25519(Buffer.from("x403"), signature, payer.publicKey),
+      false,
+    );
+    assert.equal(verifyEd25519(message, signature, merchant), false);
+    assert.equal(
+      verifyEd25519(message, signature.subarray(0, 63), payer.publicKey),
+      false,
+    );
+    assert.equal(verifyEd25519(message, null, payer.publicKey), false);
+  });
+});
+
+describe("verifyTransactionSignatures", () => {
+  it("accepts a transaction signed by every signer", () => {
+    const tx = payment();
+    tx.sign(payer);
+    assert.doesNotThrow(() => verifyTransactionSignatures(decode(wire(tx))));
+  });
+
+  it("rejects a signature forged with another key", () => {
+    const tx = payment();
+    tx.addSignature(
+      payer.publicKey,
+      sign(Keypair.generate(), tx.serializeMessage()),
+    );
+    assert.throws(() => verifyTransactionSignatures(decode(wire(tx))), {
+      code: "invalid_signature",
+      message: `Invalid signature for ${payer.publicKey.toBase58()}`,
+    });
+  });
+
+  it("rejects a message changed after signing", () => {
+    const tx = payment();
+    tx.sign(payer);
+    const bytes = wire(tx);
+    // The transfer's lamports (u64 LE) end the message; pay less than signed
+    bytes[bytes.length - 8] -= 1;
+    assert.throws(() => verifyTransactionSignatures(decode(bytes)), {
+      code: "invalid_signature",
+    });
+  });
+
+  it("rejects a missing co-signer signature", () => {
+    const cosigner = Keypair.generate();
+    const tx = payment(
+      SystemProgram.transfer({
+        fromPubkey: cosigner.publicKey,
+        toPubkey: merchant,
+        lamports: 1,
+      }),
+    );
+    tx.partialSign(payer);
+    assert.throws(() => verifyTransactionSignatures(decode(wire(tx))), {
+      code: "invalid_signature",
+      message: `Missing signature for ${cosigner.publicKey.toBase58()}`,
+    });
+  });
+});
+
+describe("checkInstructionPolicy", () => {
+  const solTransfer = () =>
+    SystemProgram.transfer({
+      fromPubkey: payer.publicKey,
+      toPubkey: merchant,
+      lamports: 1000,
+    });
+
+  it("returns the single transfer of an allowed payment", () => {
+    const transfer = tokenTransfer();
+    const tx = view(
+      ComputeBudgetProgram.setComputeUnitLimit({ units: 50_000 }),
+      ComputeBudgetProgram.setComputeUnitPrice({
+        microLamports: maxComputeUnitPrice,
+      }),
+      transfer,
+      memo("x402:ref", MEMO_PROGRAM_IDS[1]),
+    );
+    const ix = checkInstructionPolicy(tx);
+    assert.ok(ix.programId.equals(transfer.programId));
+    assert.deepEqual(ix.data, transfer.data);
+  });
+
+  it("accepts SOL and Token-2022 transfers", () => {
+    assert.ok(
+      checkInstructionPolicy(view(solTransfer())).programId.equals(
+        SystemProgram.programId,
+      ),
+    );
+    assert.ok(
+      checkInstructionPolicy(
+        view(tokenTransfer(TOKEN_2022_PROGRAM_ID)),
+      ).programId.equals(TOKEN_2022_PROGRAM_ID),
+    );
+  });
+
+  const rejects = {
+    multiple_transfers: [tokenTransfer(), solTransfer()],
+    missing_transfer: [memo("x402:ref")],
+    disallowed_token_instruction: [
+      tokenTransfer(),
+      createApproveInstruction(payerAta, merchant, payer.publicKey, 1n),
+    ],
+    unknown_program: [
+      tokenTransfer(),
+      new TransactionInstruction({
+        keys: [],
+        programId: Keypair.generate().publicKey,
+        data: Buffer.alloc(0),
+      }),
+    ],
+    disallowed_system_instruction: [
+      solTransfer(),
+      SystemProgram.assign({
+        accountPubkey: payer.publicKey,
+        programId: merchant,
+      }),
+    ],
+    compute_unit_price_too_high: [
+      ComputeBudgetProgram.setComputeUnitPrice({
+        microLamports: maxComputeUnitPrice + 1,
+      }),
+      tokenTransfer(),
+    ],
+    duplicate_compute_budget_instruction: [
+      ComputeBudgetProgram.setComputeUnitLimit({ units: 50_000 }),
+      ComputeBudgetProgram.setComputeUnitLimit({ units: 60_000 }),
+      tokenTransfer(),
+    ],
+    disallowed_compute_budget_instruction: [
+      ComputeBudgetProgram.requestHeapFrame({ bytes: 64 * 1024 }),
+      tokenTransfer(),
+    ],
+  };
+  for (const [code, instructions] of Object.entries(rejects)) {
+    it(`rejects with ${code}`, () => {
+      assert.throws(() => checkInstructionPolicy(view(...instructions)), {
+        code,
+      });
+    });
+  }
+
+  it("rejects closing the payer's token account", () => {
+    const tx = view(
+      tokenTransfer(),
+      createCloseAccountInstruction(payerAta, payer.publicKey, payer.publicKey),
+    );
+    assert.throws(() => checkInstructionPolicy(tx), {
+      code: "disallowed_token_instruction",
+      message: "Instruction 1 is a token instruction other than transferChecked",
+    });
+  });
+});
+
+describe("getMemo", () => {
+  it("reads the first memo of either memo program", () => {
+    assert.equal(getMemo(view(tokenTransfer(), memo("x402:a"))), "x402:a");
+    assert.equal(
+      getMemo(view(memo("x402:b", MEMO_PROGRAM_IDS[1]), memo("x402:c"))),
+      "x402:b",
+    );
+    assert.equal(getMemo(view(tokenTransfer())), null);
+  });
+});
+
+describe("payment references", () => {
+  const secret = "test-secret";
+  const quote = {
+    resource: "GET /weather",
+    network: "solana-devnet",
+    asset: mint.toBase58(),
+    payTo: merchant.toBase58(),
+    maxAmountRequired: "10000",
+  };
+  const { reference } = createPaymentReference(quote, 60, secret);
+  const paid = (memoText) => view(tokenTransfer(), memo(memoText));
+  const verify = (ref, req = quote, key = secret, tx = paid(`x402:${ref}`)) =>
+    verifyPaymentReference(tx, ref, req, key);
+
+  it("accepts a payment whose memo carries a reference for the quote", () => {
+    assert.ok(isReferenceFor(reference, quote, secret));
+    assert.doesNotThrow(() => verify(reference));
+  });
+
+  it("rejects a reference issued for another quote or secret", () => {
+    for (const [req, key] of [
+      [{ ...quote, maxAmountRequired: "1" }, secret],
+      [{ ...quote, payTo: payer.publicKey.toBase58() }, secret],
+      [{ ...quote, resource: "GET /forecast" }, secret],
+      [quote, "another-secret"],
+    ]) {
+      assert.equal(isReferenceFor(reference, req, key), false);
+      assert.throws(() => verify(reference, req, key), {
+        code: "invalid_reference",
+      });
+    }
+  });
+
+  it("rejects forged and malformed references", () => {
+    const [id, expiresAt] = reference.split(".");
+    for (const forged of [
+      `${id}.${Number(expiresAt) + 3600}.${reference.split(".")[2]}`,
+      `${id}.${expiresAt}.${"A".repeat(22)}`,
+      "x402",
+      undefined,
+    ]) {
+      assert.equal(isReferenceFor(forged, quote, secret), false);
+    }
+  });
+
+  it("rejects a memo that does not match the reference", () => {
+    for (const tx of [
+      paid("x402:another-reference"),
+      paid(reference),
+      view(tokenTransfer()),
+    ]) {
+      assert.throws(() => verify(reference, quote, secret, tx), {
+        code: "invalid_reference",
+        message: "Memo does not match the payment reference",
+      });
+    }
+  });
+
+  it("rejects an expired reference as stale", () => {
+    const expired = createPaymentReference(quote, -1, secret).reference;
+    assert.ok(isReferenceFor(expired, quote, secret));
+    assert.throws(() => verify(expired), { code: "stale_payload" });
+  });
+});
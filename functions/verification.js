@@ -0,0 +1,361 @@
+/*───────────────────────────────────────────────────────────────────────────*/
+/**
+ * Pure payment checks for the x402 functions. Nothing here touches RPC or
+ * storage, so every check can be unit tested against hand-built
+ * transactions.
+ */
+/*───────────────────────────────────────────────────────────────────────────*/
+
+const crypto = require("crypto");
+const {
+  ComputeBudgetInstruction,
+  ComputeBudgetProgram,
+  SystemInstruction,
+  SystemProgram,
+} = require("@solana/web3.js");
+const {
+  TOKEN_PROGRAM_ID,
+  TOKEN_2022_PROGRAM_ID,
+  decodeTransferCheckedInstruction,
+  decodeTransferCheckedWithFeeInstruction,
+} = require("@solana/spl-token");
+
+// Highest priority fee a payment transaction may set (micro-lamports per CU)
+const maxComputeUnitPrice = 1_000_000;
+
+/*───────────────────────────────────────────────────────────────────────────*/
+// ✍️  Signature Verification
+/*───────────────────────────────────────────────────────────────────────────*/
+
+/**
+ * Creates an Error carrying a machine-readable code for the 402 body.
+ * @param {string} code - The error code (e.g. "invalid_signature").
+ * @param {string} message - Human readable error message.
+ * @returns {Error} The error with a `code` property.
+ */
+const x402Error = (code, message) =>
+  Object.assign(new Error(message), { code });
+
+/**
+ * Verifies a detached ed25519 signature using Node's built-in crypto.
+ * @param {Uint8Array} message - The signed bytes.
+ * @param {Uint8Array} signature - The 64-byte signature.
+ * @param {PublicKey} publicKey - The signer's public key.
+ * @returns {boolean} True if the signature is valid for the message.
+ */
+const verifyEd25519 = (message, signature, publicKey) => {
+  if (!signature || signature.length !== 64) return false;
+  const key = crypto.createPublicKey({
+    key: {
+      kty: "OKP",
+      crv: "Ed25519",
+      x: Buffer.from(publicKey.toBytes()).toString("base64url"),
+    },
+    format: "jwk",
+  });
+  return crypto.verify(null, Buffer.from(message), key, Buffer.from(signature));
+};
+
+/**
+ * Verifies every required signature of a transaction against its message.
+ * @param {object} tx - The decoded transaction view.
+ * @throws {Error} With code "invalid_signature" if any signature is missing or invalid.
+ */
+const verifyTransactionSignatures = (tx) => {
+  if (!tx.feePayer || tx.signatures.length === 0) {
+    throw x402Error("invalid_signature", "Transaction has no signers");
+  }
+  const message = tx.serializeMessage();
+  for (const { publicKey, signature } of tx.signatures) {
+    if (!signature) {
+      throw x402Error(
+        "invalid_signature",
+        `Missing signature for ${publicKey.toBase58()}`,
+      );
+    }
+    if (!verifyEd25519(message, signature, publicKey)) {
+      throw x402Error(
+        "invalid_signature",
+        `Invalid signature for ${publicKey.toBase58()}`,
+      );
+    }
+  }
+};
+
+/*───────────────────────────────────────────────────────────────────────────*/
+// 🛡️  Instruction Policy (whole-transaction allowlist)
+/*───────────────────────────────────────────────────────────────────────────*/
+
+// Memo program v2 (used by the client) and the legacy v1 memo program
+const MEMO_PROGRAM_IDS = [
+  "MemoSq4gqABAXKb96qnH8TysNcWxMyWCqXgDLGmfcHr",
+  "Memo1UhkJRfHyvLMcVucJwxXeuD728EqVDDwQDxFMNo",
+];
+
+/**
+ * Reads the memo text of a transaction, if it has one.
+ * @param {object} tx - The decoded transaction view.
+ * @returns {string|null} The first memo, decoded as UTF-8.
+ */
+const getMemo = (tx) => {
+  const ix = tx.instructions.find((i) =>
+    MEMO_PROGRAM_IDS.includes(i.programId.toBase58()),
+  );
+  return ix ? Buffer.from(ix.data).toString("utf8") : null;
+};
+
+/**
+ * Checks whether an instruction belongs to the classic or Token-2022 program.
+ * @param {TransactionInstruction} ix - The instruction.
+ * @returns {boolean} True for token program instructions.
+ */
+const isTokenProgramIx = (ix) =>
+  ix.programId.equals(TOKEN_PROGRAM_ID) ||
+  ix.programId.equals(TOKEN_2022_PROGRAM_ID);
+
+/**
+ * Decodes a `transferChecked` (or Token-2022 `transferCheckedWithFee`)
+ * instruction for either token program.
+ * @param {TransactionInstruction} ix - The token program instruction.
+ * @returns {object} `{ amount, decimals, keys }`.
+ * @throws {Error} If the instruction is not a checked transfer.
+ */
+const decodeTokenTransfer = (ix) => {
+  try {
+    const { data, keys } = decodeTransferCheckedInstruction(ix, ix.programId);
+    return { amount: data.amount, decimals: data.decimals, keys };
+  } catch (e) {
+    if (!ix.programId.equals(TOKEN_2022_PROGRAM_ID)) {
+      throw new Error("Instruction is not transferChecked");
+    }
+  }
+  try {
+    const { data, keys } = decodeTransferCheckedWithFeeInstruction(
+      ix,
+      ix.programId,
+    );
+    return { amount: data.amount, decimals: data.decimals, keys };
+  } catch (e) {
+    throw new Error("Instruction is not transferChecked");
+  }
+};
+
+/**
+ * Checks a single ComputeBudget instruction against the policy.
+ * @param {TransactionInstruction} ix - The ComputeBudget instruction.
+ * @param {Set<string>} seen - ComputeBudget instruction types already seen.
+ * @throws {Error} With a policy error code if the instruction is not allowed.
+ */
+const checkComputeBudgetIx = (ix, seen) => {
+  let type;
+  try {
+    type = ComputeBudgetInstruction.decodeInstructionType(ix);
+  } catch (e) {
+    throw x402Error(
+      "disallowed_compute_budget_instruction",
+      "Unknown ComputeBudget instruction",
+    );
+  }
+  if (type !== "SetComputeUnitLimit" && type !== "SetComputeUnitPrice") {
+    throw x402Error(
+      "disallowed_compute_budget_instruction",
+      `ComputeBudget ${type} is not allowed`,
+    );
+  }
+  if (seen.has(type)) {
+    throw x402Error(
+      "duplicate_compute_budget_instruction",
+      `ComputeBudget ${type} appears more than once`,
+    );
+  }
+  seen.add(type);
+
+  if (type === "SetComputeUnitPrice") {
+    const { microLamports } =
+      ComputeBudgetInstruction.decodeSetComputeUnitPrice(ix);
+    if (BigInt(microLamports) > BigInt(maxComputeUnitPrice)) {
+      throw x402Error(
+        "compute_unit_price_too_high",
+        `Compute unit price ${microLamports} exceeds ${maxComputeUnitPrice} micro-lamports`,
+      );
+    }
+  }
+};
+
+/**
+ * Walks every instruction of a payment transaction and allows only
+ * ComputeBudget, Memo and exactly one transfer (a token `transferChecked` or
+ * a SystemProgram SOL transfer), so the facilitator never broadcasts extra
+ * transfers, approvals or closes.
+ * @param {object} tx - The decoded transaction view.
+ * @returns {TransactionInstruction} The single transfer instruction.
+ * @throws {Error} With a policy error code describing the first violation.
+ */
+const checkInstructionPolicy = (tx) => {
+  const seenComputeBudget = new Set();
+  const transfers = [];
+
+  tx.instructions.forEach((ix, index) => {
+    const programId = ix.programId.toBase58();
+    if (ix.programId.equals(ComputeBudgetProgram.programId)) {
+      checkComputeBudgetIx(ix, seenComputeBudget);
+    } else if (MEMO_PROGRAM_IDS.includes(programId)) {
+      // Memos only carry the x402 reference
+    } else if (isTokenProgramIx(ix)) {
+      try {
+        decodeTokenTransfer(ix);
+      } catch (e) {
+        throw x402Error(
+          "disallowed_token_instruction",
+          `Instruction ${index} is a token instruction other than transferChecked`,
+        );
+      }
+      transfers.push(ix);
+    } else if (ix.programId.equals(SystemProgram.programId)) {
+      let type;
+      try {
+        type = SystemInstruction.decodeInstructionType(ix);
+      } catch (e) {
+        type = null;
+      }
+      if (type !== "Transfer") {
+        throw x402Error(
+          "disallowed_system_instruction",
+          `Instruction ${index} is a System instruction other than Transfer`,
+        );
+      }
+      transfers.push(ix);
+    } else {
+      throw x402Error(
+        "unknown_program",
+        `Instruction ${index} calls disallowed program ${programId}`,
+      );
+    }
+  });
+
+  if (transfers.length === 0) {
+    throw x402Error(
+      "missing_transfer",
+      "No token transferChecked or SOL transfer in tx",
+    );
+  }
+  if (transfers.length > 1) {
+    throw x402Error(
+      "multiple_transfers",
+      `Expected exactly one transfer, found ${transfers.length}`,
+    );
+  }
+  return transfers[0];
+};
+
+/*───────────────────────────────────────────────────────────────────────────*/
+// 🔖  Payment References (server-issued, single-use memo references)
+/*───────────────────────────────────────────────────────────────────────────*/
+
+/**
+ * Computes the MAC binding a payment reference to its quote.
+ * @param {string} id - The random reference ID.
+ * @param {number} expiresAt - Expiry in Unix seconds.
+ * @param {object} quote - The `accepts` entry it was issued for.
+ * @param {string} secret - The challenge secret.
+ * @returns {string} The base64url MAC.
+ */
+const signPaymentReference = (id, expiresAt, quote, secret) =>
+  crypto
+    .createHmac("sha256", secret)
+    .update(
+      [
+        "x402-reference",
+        id,
+        expiresAt,
+        quote.resource,
+        quote.network,
+        quote.asset,
+        quote.payTo,
+        quote.maxAmountRequired,
+      ].join("\n"),
+    )
+    .digest("base64url")
+    .slice(0, 22);
+
+/**
+ * Issues a payment reference for a quote. The client puts `x402:<reference>`
+ * in the payment's memo and `reference` in the payload.
+ * @param {object} quote - The `accepts` entry (resource, network, asset,
+ *   payTo, maxAmountRequired).
+ * @param {number} ttlSeconds - How long the reference can be paid.
+ * @param {string} secret - The challenge secret.
+ * @returns {object} `{ reference, expiresAt }` with an ISO expiry.
+ */
+const createPaymentReference = (quote, ttlSeconds, secret) => {
+  const id = crypto.randomBytes(12).toString("base64url");
+  const expiresAt = Math.floor(Date.now() / 1000) + ttlSeconds;
+  const mac = signPaymentReference(id, expiresAt, quote, secret);
+  return {
+    reference: `${id}.${expiresAt}.${mac}`,
+    expiresAt: new Date(expiresAt * 1000).toISOString(),
+  };
+};
+
+/**
+ * Checks whether a reference was issued by us for a quote (expired or not).
+ * @param {string} reference - The payload's `reference`.
+ * @param {object} quote - The `accepts` entry.
+ * @param {string} secret - The challenge secret.
+ * @returns {boolean} True if the reference's MAC matches the quote.
+ */
+const isReferenceFor = (reference, quote, secret) => {
+  const [id, expiresAt, mac] = String(reference ?? "").split(".");
+  return (
+    !!id &&
+    !!mac &&
+    mac === signPaymentReference(id, Number(expiresAt), quote, secret)
+  );
+};
+
+/**
+ * Checks that a payment carries a reference we issued for this quote, that
+ * it has not expired and that the memo matches it.
+ * @param {object} tx - The decoded transaction view.
+ * @param {string} reference - The payload's `reference`.
+ * @param {object} req - The payment requirement object.
+ * @param {string} secret - The challenge secret.
+ * @throws {Error} With code "invalid_reference", or "stale_payload" once the
+ *   quote has expired.
+ */
+const verifyPaymentReference = (tx, reference, req, secret) => {
+  if (!isReferenceFor(reference, req, secret)) {
+    throw x402Error(
+      "invalid_reference",
+      "Payment reference was not issued for this quote",
+    );
+  }
+  const expiresAt = Number(String(reference).split(".")[1]);
+  if (expiresAt * 1000 <= Date.now()) {
+    throw x402Error(
+      "stale_payload",
+      "Payment quote expired, request a new quote and re-sign the payment",
+    );
+  }
+  if (getMemo(tx) !== `x402:${reference}`) {
+    throw x402Error(
+      "invalid_reference",
+      "Memo does not match the payment reference",
+    );
+  }
+};
+
+module.exports = {
+  x402Error,
+  verifyEd25519,
+  verifyTransactionSignatures,
+  MEMO_PROGRAM_IDS,
+  maxComputeUnitPrice,
+  getMemo,
+  isTokenProgramIx,
+  decodeTokenTransfer,
+  checkInstructionPolicy,
+  createPaymentReference,
+  isReferenceFor,
+  verifyPaymentReference,
+};
@@ -5,20 +5,246 @@
  */
 /*───────────────────────────────────────────────────────────────────────────*/
 
-import { useState } from "react";
+import { Fragment, useState } from "react";
 import {
   TransactionInstruction,
   PublicKey,
   Transaction,
+  TransactionMessage,
+  VersionedTransaction,
   Connection,
   ComputeBudgetProgram,
+  SystemProgram,
 } from "@solana/web3.js";
 import {
   getAssociatedTokenAddress,
   createTransferCheckedInstruction,
+  calculateEpochFee,
+  getEpochFee,
+  getMint,
+  getTransferFeeConfig,
   TOKEN_PROGRAM_ID,
+  TOKEN_2022_PROGRAM_ID,
 } from "@solana/spl-token";
 
+/**
+ * Encodes bytes as a base64 string.
+ */
+const uint8ArrayToBase64 = (uint8Array) => {
+  let binary = "";
+  uint8Array.forEach((byte) => (binary += String.fromCharCode(byte)));
+  return btoa(binary);
+};
+
+/**
+ * Builds the SIWS message text for a server-issued member challenge.
+ * Must stay byte-identical with buildSiwsMessage in functions/index.js.
+ */
+const buildSiwsMessage = (fields, address) =>
+  [
+    `${fields.domain} wants you to sign in with your Solana account:`,
+    address,
+    "",
+    fields.statement,
+    "",
+    `URI: ${fields.uri}`,
+    `Version: ${fields.version}`,
+    `Chain ID: ${fields.chainId}`,
+    `Nonce: ${fields.nonce}`,
+    `Issued At: ${fields.issuedAt}`,
+    `Expiration Time: ${fields.expirationTime}`,
+    "Resources:",
+    ...fields.resources.map((r) => `- ${r}`),
+  ].join("\n");
+
+/**
+ * x402 network IDs by cluster genesis hash; any other cluster is treated as a
+ * local `solana-test-validator`.
+ */
+const NETWORKS_BY_GENESIS_HASH = {
+  "5eykt4UsFv8P8NJdTREpY1vzqKqZKvdpKuc147dw2N9d": "solana-mainnet-beta",
+  EtWTRABZaYq6iMfeYKouRu166VU2xqa1wcaWoxPkrZBG: "solana-devnet",
+};
+
+/**
+ * Detects the x402 network ID of the cluster behind a connection.
+ */
+const detectNetwork = async (connection) =>
+  NETWORKS_BY_GENESIS_HASH[await connection.getGenesisHash()] ??
+  "solana-localnet";
+
+/**
+ * Builds an explorer link (e.g. "tx/<sig>" or "token/<mint>") for the cluster.
+ * Matches the explorer links in the facilitator's receipts.
+ */
+const explorerUrl = (path, network, rpcUrl) => {
+  if (network === "solana-devnet") {
+    return `https://solscan.io/${path}?cluster=devnet`;
+  }
+  if (network === "solana-localnet") {
+    return `https://explorer.solana.com/${path}?cluster=custom&customUrl=${encodeURIComponent(rpcUrl)}`;
+  }
+  return `https://solscan.io/${path}`;
+};
+
+/**
+ * Lists the `accepts` entries for the wallet's network, one per asset.
+ */
+const getPaymentSpecs = (requirements, network) => {
+  const paymentSpecs = requirements.accepts.filter(
+    (accept) => accept.network === network,
+  );
+  if (!paymentSpecs.length) {
+    throw new Error(`The server does not accept payments on ${network}`);
+  }
+  return paymentSpecs;
+};
+
+/**
+ * Picks the `accepts` entry for the wallet's network and the chosen asset
+ * mint, falling back to the first asset offered.
+ */
+const selectPaymentSpec = (requirements, network, asset) => {
+  const paymentSpecs = getPaymentSpecs(requirements, network);
+  return paymentSpecs.find((spec) => spec.asset === asset) ?? paymentSpecs[0];
+};
+
+/**
+ * Formats a base-unit amount of an `accepts` entry's asset, e.g. "0.01 USDC".
+ */
+const formatAmount = (amount, paymentSpec) =>
+  `${Number(amount) / 10 ** (paymentSpec.extra?.decimals ?? 6)} ${
+    paymentSpec.extra?.assetSymbol ?? `${paymentSpec.asset.slice(0, 6)}...`
+  }`;
+
+/**
+ * The price an `accepts` entry quotes for a member tier (a free tier that
+ * pays anyway pays the full price).
+ */
+const getAmountDue = (paymentSpec, tier) => {
+  const tierPrice =
+    tier &&
+    tier.discountPercent !== 100 &&
+    paymentSpec.extra?.memberTiers?.find((t) => t.name === tier.name)?.price;
+  return BigInt(tierPrice || paymentSpec.maxAmountRequired);
+};
+
+/**
+ * Converts a whole-token amount to raw base units.
+ * Mirrors toBaseUnits in functions/index.js.
+ */
+const toBaseUnits = (amount, decimals) => {
+  const [whole, fraction = ""] = Number(amount).toFixed(decimals).split(".");
+  return BigInt(whole + fraction);
+};
+
+/**
+ * Picks the highest advertised `minBalance` tier a raw member token balance
+ * qualifies for, comparing in base units like the facilitator does.
+ */
+const getMemberTier = (memberTiers = [], rawBalance, decimals) =>
+  memberTiers
+    .filter(
+      (tier) =>
+        tier.minBalance !== undefined &&
+        rawBalance >= toBaseUnits(tier.minBalance, decimals),
+    )
+    .reduce(
+      (best, tier) =>
+        !best || tier.discountPercent > best.discountPercent ? tier : best,
+      null,
+    );
+
+/**
+ * Builds the exact bytes a receipt signature covers.
+ * Must stay byte-identical with receiptMessage in functions/receipt.js.
+ */
+const receiptMessage = (receipt) =>
+  new TextEncoder().encode(
+    JSON.stringify([
+      "x402-receipt-v1",
+      receipt.facilitator,
+      receipt.resource,
+      receipt.network ?? null,
+      receipt.payer,
+      receipt.amount,
+      receipt.txHash ?? null,
+      !!receipt.memberAccess,
+      receipt.issuedAt,
+    ]),
+  );
+
+/**
+ * Verifies a receipt signature offline with WebCrypto ed25519 against the
+ * facilitator's base58 public key.
+ */
+const verifyReceipt = async (receipt, publicKey) => {
+  if (!receipt?.signature || receipt.facilitator !== publicKey) return false;
+  const key = await crypto.subtle.importKey(
+    "raw",
+    new PublicKey(publicKey).toBytes(),
+    { name: "Ed25519" },
+    false,
+    ["verify"],
+  );
+  const signature = Uint8Array.from(atob(receipt.signature), (c) =>
+    c.charCodeAt(0),
+  );
+  return crypto.subtle.verify(
+    { name: "Ed25519" },
+    key,
+    signature,
+    receiptMessage(receipt),
+  );
+};
+
+/**
+ * Explains facilitator error codes (e.g. from pre-broadcast simulation).
+ */
+const PAYMENT_ERROR_HINTS = {
+  insufficient_funds: "Not enough of the chosen asset for this payment",
+  token_account_not_found: "Your wallet has no token account for this asset",
+  owner_mismatch: "The paying token account is not owned by your wallet",
+  mint_mismatch: "The token account does not hold the payment token",
+  account_frozen: "Your token account for this asset is frozen",
+  fee_payer_not_found: "Your wallet needs some SOL to pay network fees",
+  insufficient_funds_for_fee: "Not enough SOL to pay the network fee",
+  stale_payload: "The payment quote expired, please try again",
+  invalid_reference: "The payment does not match the quoted reference",
+};
+
+/**
+ * Computes the gross transfer amount so the merchant receives `netAmount`
+ * after Token-2022 transfer fees (classic SPL mints pay no fee).
+ */
+const getGrossTransferAmount = async (
+  connection,
+  mintPubkey,
+  tokenProgram,
+  netAmount,
+) => {
+  const target = BigInt(netAmount);
+  if (!tokenProgram.equals(TOKEN_2022_PROGRAM_ID)) return target;
+  const mint = await getMint(connection, mintPubkey, "confirmed", tokenProgram);
+  const feeConfig = getTransferFeeConfig(mint);
+  if (!feeConfig) return target;
+
+  const epoch = BigInt((await connection.getEpochInfo()).epoch);
+  const net = (gross) => gross - calculateEpochFee(feeConfig, epoch, gross);
+  const { transferFeeBasisPoints, maximumFee } = getEpochFee(feeConfig, epoch);
+
+  // Start from the uncapped estimate, then step to the smallest exact gross
+  let gross = target + maximumFee;
+  if (transferFeeBasisPoints < 10_000) {
+    const estimate =
+      (target * 10_000n) / BigInt(10_000 - transferFeeBasisPoints);
+    if (estimate < gross) gross = estimate;
+  }
+  while (net(gross) < target) gross++;
+  while (gross > target && net(gross - 1n) >= target) gross--;
+  return gross;
+};
+
 /**
  * React component demonstrating the full x402 payment flow.
  * Shows clear state transitions for each step of the payment process.
@@ -27,6 +253,7 @@ const Wallet = () => {
   // Wallet state
   const [provider, setProvider] = useState(null);
   const [connection, setConnection] = useState(null);
+  const [network, setNetwork] = useState(null);
 
   // x402 flow state
   const [currentStep, setCurrentStep] = useState("idle"); // idle, fetching-requirements, checking-membership, building-tx, signing, submitting, complete
@@ -34,13 +261,25 @@ const Wallet = () => {
   const [membershipStatus, setMembershipStatus] = useState(null);
   const [paymentReference, setPaymentReference] = useState(null);
   const [transactionHash, setTransactionHash] = useState(null);
+  const [transactionUrl, setTransactionUrl] = useState(null);
   const [weatherData, setWeatherData] = useState(null);
+  const [receiptStatus, setReceiptStatus] = useState(null);
+  const [accessSession, setAccessSession] = useState(null); // { token, expiresAt, remainingCalls }
   const [statusMessage, setStatusMessage] = useState(
     "Connect your wallet to start",
   );
   const [errorMessage, setErrorMessage] = useState("");
-  const [usdcBalance, setUsdcBalance] = useState(0);
-  const [canProceedToPayment, setCanProceedToPayment] = useState(false);
+  const [assetOptions, setAssetOptions] = useState([]); // [{ spec, balance, amountDue, sufficient }]
+  const [selectedAsset, setSelectedAsset] = useState(null); // mint of the chosen `accepts` entry
+  const [txVersion, setTxVersion] = useState("legacy"); // legacy, v0
+
+  // Free-tier members can sign in without holding the payment asset
+  const selectedOption = assetOptions.find(
+    (option) => option.spec.asset === selectedAsset,
+  );
+  const canProceedToPayment =
+    !!selectedOption?.sufficient ||
+    (!!membershipStatus?.isFreeAccess && !!membershipStatus.canSignIn);
 
   // Configuration from environment variables (Vite uses import.meta.env)
   const SOLANA_RPC =
@@ -48,6 +287,25 @@ const Wallet = () => {
   const API_URL =
     import.meta.env.VITE_FIREBASE_FUNCTIONS_URL ||
     "http://127.0.0.1:5001/weather";
+  const FACILITATOR_KEY_URL =
+    import.meta.env.VITE_FACILITATOR_KEY_URL ||
+    new URL("/facilitator-key", API_URL).href;
+
+  /**
+   * Checks the receipt signature against the facilitator's published key
+   */
+  const checkReceipt = async (receipt) => {
+    try {
+      const { publicKey } = await (await fetch(FACILITATOR_KEY_URL)).json();
+      setReceiptStatus(
+        (await verifyReceipt(receipt, publicKey))
+          ? `✅ Receipt signed by facilitator ${publicKey.slice(0, 8)}...`
+          : "❌ Receipt signature invalid",
+      );
+    } catch (error) {
+      setReceiptStatus(`⚠️ Could not verify receipt: ${error.message}`);
+    }
+  };
 
   /**
    * Step 1: Connect to Phantom wallet
@@ -63,10 +321,12 @@ const Wallet = () => {
       setStatusMessage("Connecting to Phantom wallet...");
       await provider.connect();
       const connection = new Connection(SOLANA_RPC, "confirmed");
+      const network = await detectNetwork(connection);
       setProvider(provider);
       setConnection(connection);
+      setNetwork(network);
       setStatusMessage(
-        `✅ Connected: ${provider.publicKey.toBase58().slice(0, 8)}...`,
+        `✅ Connected: ${provider.publicKey.toBase58().slice(0, 8)}... (${network})`,
       );
       setCurrentStep("idle");
     } catch (error) {
@@ -111,7 +371,36 @@ const Wallet = () => {
   };
 
   /**
-   * Step 3: Check membership status
+   * Reads the wallet's balance of every asset the server accepts (native SOL
+   * or SPL tokens) and preselects the first one that covers its price.
+   * Resolves to the preselected option.
+   */
+  const loadAssetOptions = async (paymentSpecs, tokenAccounts, tier) => {
+    const options = await Promise.all(
+      paymentSpecs.map(async (spec) => {
+        const balance =
+          spec.extra?.assetType === "native"
+            ? BigInt(await connection.getBalance(provider.publicKey))
+            : tokenAccounts
+                .filter((info) => info.mint === spec.asset)
+                .reduce(
+                  (total, info) => total + BigInt(info.tokenAmount.amount),
+                  0n,
+                );
+        const amountDue = getAmountDue(spec, tier);
+        return { spec, balance, amountDue, sufficient: balance >= amountDue };
+      }),
+    );
+    const preselected =
+      options.find((option) => option.sufficient) ?? options[0];
+    setAssetOptions(options);
+    setSelectedAsset(preselected.spec.asset);
+    return preselected;
+  };
+
+  /**
+   * Step 3: Check membership status and the balance of each accepted asset.
+   * Resolves to the preselected asset option.
    */
   const checkMembership = async () => {
     if (!paymentRequirements) {
@@ -124,11 +413,30 @@ const Wallet = () => {
     setStatusMessage("🔍 Checking membership status...");
 
     try {
-      const memberInfo = paymentRequirements.accepts[0].extra;
+      const paymentSpecs = getPaymentSpecs(paymentRequirements, network);
+      const memberInfo = paymentSpecs[0].extra;
       const memberSPLToken = memberInfo?.memberSPLToken;
       const memberRequirement = Number(memberInfo?.memberRequirement || 0);
 
+      // Check user's token balances (classic SPL and Token-2022 accounts)
+      const tokenAccounts = (
+        await Promise.all(
+          [TOKEN_PROGRAM_ID, TOKEN_2022_PROGRAM_ID].map((programId) =>
+            connection.getParsedTokenAccountsByOwner(provider.publicKey, {
+              programId,
+            }),
+          ),
+        )
+      )
+        .flatMap((result) => result.value)
+        .map((account) => account.account.data.parsed.info);
+
       if (!memberSPLToken) {
+        const preselected = await loadAssetOptions(
+          paymentSpecs,
+          tokenAccounts,
+          null,
+        );
         setMembershipStatus({
           isMember: false,
           balance: 0,
@@ -137,58 +445,56 @@ const Wallet = () => {
         });
         setStatusMessage("ℹ️ No membership program configured");
         setCurrentStep("membership-checked");
-        return;
+        return preselected;
       }
 
-      // Check user's token balance
-      const tokenAccounts = await connection.getParsedTokenAccountsByOwner(
-        provider.publicKey,
-        { programId: TOKEN_PROGRAM_ID },
+      // Sum the raw balance across every account holding the member mint
+      const memberAccounts = tokenAccounts.filter(
+        (info) => info.mint === memberSPLToken,
       );
-
-      const memberTokenAccount = tokenAccounts.value.find(
-        (account) => account.account.data.parsed.info.mint === memberSPLToken,
+      const rawBalance = memberAccounts.reduce(
+        (total, info) => total + BigInt(info.tokenAmount.amount),
+        0n,
       );
+      const decimals = memberAccounts[0]?.tokenAmount.decimals ?? 0;
+      const balance = Number(rawBalance) / 10 ** decimals;
 
-      const balance = memberTokenAccount
-        ? Number(
-            memberTokenAccount.account.data.parsed.info.tokenAmount.uiAmount,
-          )
-        : 0;
+      // The tier decides the effective price; a 100% tier is free access
+      const tier = getMemberTier(memberInfo.memberTiers, rawBalance, decimals);
+      const isMember = !!tier;
+      const isFreeAccess = tier?.discountPercent === 100;
 
-      const isMember = balance > memberRequirement;
+      // Check the balance of every accepted asset against its price
+      const preselected = await loadAssetOptions(
+        paymentSpecs,
+        tokenAccounts,
+        tier,
+      );
 
       setMembershipStatus({
         isMember,
+        isFreeAccess,
+        canSignIn: !!memberInfo.memberProof,
+        tier,
         balance,
         required: memberRequirement,
         tokenAddress: memberSPLToken,
-        message: isMember
-          ? "✅ Member status: Eligible for free access!"
-          : `❌ Not a member: ${balance} tokens (need >= ${memberRequirement})`,
+        message: isFreeAccess
+          ? `✅ Member tier ${tier.name}: Eligible for free access!`
+          : isMember
+            ? `✅ Member tier ${tier.name}: ${tier.discountPercent}% off`
+            : `❌ Not a member: ${balance} tokens (need >= ${memberRequirement})`,
       });
 
       setStatusMessage(
-        isMember
-          ? `✅ Member detected! (${balance} tokens) - Transaction will be built but server may grant free access`
-          : `Not a member. Balance: ${balance}, Required: > ${memberRequirement} - Payment required`,
+        isFreeAccess
+          ? `✅ Member detected! (${balance} tokens) - Free access`
+          : isMember
+            ? `✅ Member detected! (${balance} tokens) - Discounted price ${formatAmount(preselected.amountDue, preselected.spec)}`
+            : `Not a member. Balance: ${balance}, Required: >= ${memberRequirement} - Payment required`,
       );
       setCurrentStep("membership-checked");
-
-      // Check USDC balance
-      const usdcMint = paymentRequirements.accepts[0].asset;
-      const usdcTokenAccount = tokenAccounts.value.find(
-        (account) => account.account.data.parsed.info.mint === usdcMint,
-      );
-      const usdcBal = usdcTokenAccount
-        ? Number(usdcTokenAccount.account.data.parsed.info.tokenAmount.uiAmount)
-        : 0;
-      setUsdcBalance(usdcBal);
-
-      // Check if sufficient for payment
-      const PRICE = Number(paymentRequirements.accepts[0].maxAmountRequired);
-      const sufficient = usdcBal * 1_000_000 >= PRICE;
-      setCanProceedToPayment(sufficient);
+      return preselected;
     } catch (error) {
       setErrorMessage(`Failed to check membership: ${error.message}`);
       setStatusMessage("❌ Membership check failed");
@@ -198,55 +504,250 @@ const Wallet = () => {
   };
 
   /**
-   * Combined Step 4-6: Process payment (build, sign, submit)
+   * Submit an x-payment header to the endpoint and read the receipt
+   */
+  const submitXPayment = async (xPayment) => {
+    // Call API with x-payment header. If the response is lost, retry with the
+    // same header: its secret idempotency key makes the server replay the
+    // settled response instead of charging again
+    let response;
+    for (let attempt = 1; !response; attempt++) {
+      try {
+        response = await fetch(API_URL, {
+          method: "GET",
+          headers: { "X-PAYMENT": xPayment },
+        });
+      } catch (error) {
+        if (attempt === 3) throw error;
+        await new Promise((resolve) => setTimeout(resolve, 1000 * attempt));
+      }
+      // A retry that arrives while the first attempt is still settling is
+      // asked to come back once the response is cached
+      if (response?.status === 409 && attempt < 10) {
+        const seconds = Number(response.headers.get("Retry-After")) || 1;
+        response = undefined;
+        await new Promise((resolve) => setTimeout(resolve, seconds * 1000));
+      }
+    }
+
+    if (!response.ok) {
+      const errorData = await response.json();
+      throw Object.assign(
+        new Error(
+          PAYMENT_ERROR_HINTS[errorData.errorCode] ||
+            errorData.error ||
+            `API error: ${response.status}`,
+        ),
+        { code: errorData.errorCode },
+      );
+    }
+
+    const data = await response.json();
+
+    // console.log("API response data:", data);
+    console.log("Full response:", response);
+    // Check for payment response header
+    const paymentResponse = response.headers.get("X-PAYMENT-RESPONSE");
+    let receipt = null;
+    if (paymentResponse) {
+      receipt = JSON.parse(atob(paymentResponse));
+      console.log("Payment receipt:", receipt);
+      await checkReceipt(receipt);
+      if (receipt?.session) {
+        setAccessSession({
+          token: receipt.session.token,
+          expiresAt: receipt.session.expiresAt,
+          remainingCalls: receipt.session.maxCalls,
+        });
+      }
+      if (receipt?.txHash) {
+        setTransactionHash(receipt.txHash);
+        setTransactionUrl(
+          receipt.explorerUrl ??
+            explorerUrl(`tx/${receipt.txHash}`, network, SOLANA_RPC),
+        );
+      }
+    }
+
+    return { data, receipt };
+  };
+
+  /**
+   * Call the endpoint again with the access token from an earlier payment
+   */
+  const fetchWithSession = async () => {
+    setErrorMessage("");
+    try {
+      const response = await fetch(API_URL, {
+        method: "GET",
+        headers: { Authorization: `Bearer ${accessSession.token}` },
+      });
+      if (!response.ok) {
+        const errorData = await response.json();
+        setAccessSession(null);
+        throw new Error(errorData.error || `API error: ${response.status}`);
+      }
+      setWeatherData(await response.json());
+      const sessionHeader = response.headers.get("X-PAYMENT-SESSION");
+      const session = sessionHeader ? JSON.parse(atob(sessionHeader)) : {};
+      setAccessSession((current) => ({ ...current, ...session }));
+      setStatusMessage(
+        session.remainingCalls === null || session.remainingCalls === undefined
+          ? "✅ Fetched with access token"
+          : `✅ Fetched with access token (${session.remainingCalls} calls left)`,
+      );
+    } catch (error) {
+      setErrorMessage(`Access token call failed: ${error.message}`);
+      setStatusMessage("❌ Access token rejected, pay again to continue");
+    }
+  };
+
+  /**
+   * Step 4 (members): Sign the server-issued SIWS challenge instead of paying
+   */
+  const processMemberProof = async (requirements) => {
+    const paymentSpec = selectPaymentSpec(requirements, network);
+    const challenge = paymentSpec.extra.memberProof;
+    const address = provider.publicKey.toBase58();
+
+    try {
+      setCurrentStep("signing");
+      setStatusMessage(
+        "✍️ Requesting member sign-in signature from Phantom...",
+      );
+
+      const message = buildSiwsMessage(challenge, address);
+      const { signature } = await provider.signMessage(
+        new TextEncoder().encode(message),
+        "utf8",
+      );
+      setStatusMessage("✅ Sign-in message signed by wallet");
+
+      // Submit member proof
+      setCurrentStep("submitting");
+      setStatusMessage("📤 Submitting member proof to /weather endpoint...");
+
+      const xPayment = btoa(
+        JSON.stringify({
+          x402Version: requirements.x402Version,
+          scheme: paymentSpec.scheme,
+          network: paymentSpec.network,
+          payload: {
+            type: "siws",
+            address,
+            input: challenge,
+            signature: uint8ArrayToBase64(signature),
+            idempotencyKey: crypto.randomUUID(),
+          },
+        }),
+      );
+
+      const { data, receipt } = await submitXPayment(xPayment);
+
+      setWeatherData(data);
+      setStatusMessage(
+        `✅ Member access granted. No payment required.${
+          receipt?.memberRules?.length
+            ? ` Matched: ${receipt.memberRules.join(", ")}`
+            : ""
+        }`,
+      );
+      setCurrentStep("complete");
+
+      return { data, receipt };
+    } catch (error) {
+      setErrorMessage(`Member sign-in failed: ${error.message}`);
+      setStatusMessage("❌ Member sign-in failed");
+      setCurrentStep("membership-checked");
+      throw error;
+    }
+  };
+
+  /**
+   * Combined Step 4-6: Process payment (build, sign, submit).
+   * Pays with the `accepts` entry for `asset` (the chosen mint). A stale
+   * quote or blockhash is rebuilt and re-signed once with fresh requirements.
    */
-  const processPayment = async (requirements) => {
+  const processPayment = async (
+    requirements,
+    isRetry = false,
+    asset = selectedAsset,
+  ) => {
+    // Free-tier members sign a message instead of a payment transaction
+    if (
+      membershipStatus?.isFreeAccess &&
+      selectPaymentSpec(requirements, network).extra?.memberProof &&
+      provider.signMessage
+    ) {
+      return processMemberProof(requirements);
+    }
+
     setErrorMessage("");
     setCurrentStep("building-tx");
 
-    const memberNote = membershipStatus?.isMember
+    const memberNote = membershipStatus?.isFreeAccess
       ? " (Member - server may grant free access)"
-      : " (Non-member - payment required)";
+      : membershipStatus?.isMember
+        ? ` (Member - ${membershipStatus.tier.discountPercent}% off)`
+        : " (Non-member - payment required)";
     setStatusMessage("🔨 Building payment transaction..." + memberNote);
 
     try {
-      // Build transaction
-      const paymentSpec = requirements.accepts[0];
-      const USDC_MINT = new PublicKey(paymentSpec.asset);
-      const MERCHANT_TOKEN_ACCOUNT = new PublicKey(paymentSpec.payTo);
-      const PRICE = Number(paymentSpec.maxAmountRequired);
-
-      // Get the buyer's associated token account for USDC
-      const buyerATA = await getAssociatedTokenAddress(
-        USDC_MINT,
-        provider.publicKey,
-      );
+      // Build transaction for the chosen asset
+      const paymentSpec = selectPaymentSpec(requirements, network, asset);
+      const MERCHANT_ACCOUNT = new PublicKey(paymentSpec.payTo);
+      const PRICE = getAmountDue(paymentSpec, membershipStatus?.tier);
 
-      // Create a new transaction with recent blockhash
-      const { blockhash } = await connection.getLatestBlockhash();
-      const tx = new Transaction({
-        recentBlockhash: blockhash,
-        feePayer: provider.publicKey,
-      });
+      // Use the single-use reference the server issued for this quote
+      // (older facilitators issue none, so generate one)
+      const ref = paymentSpec.extra?.reference ?? crypto.randomUUID();
+      setPaymentReference(ref);
 
-      // Add USDC transfer instruction
-      tx.add(
-        createTransferCheckedInstruction(
-          buyerATA,
-          USDC_MINT,
-          MERCHANT_TOKEN_ACCOUNT,
-          provider.publicKey,
+      let transferInstruction;
+      if (paymentSpec.extra?.assetType === "native") {
+        // Native SOL: a plain SystemProgram transfer to the merchant wallet
+        transferInstruction = SystemProgram.transfer({
+          fromPubkey: provider.publicKey,
+          toPubkey: MERCHANT_ACCOUNT,
+          lamports: PRICE,
+        });
+      } else {
+        // The mint's owner tells us whether it is a classic or Token-2022 mint
+        const mint = new PublicKey(paymentSpec.asset);
+        const mintAccount = await connection.getAccountInfo(mint);
+        if (!mintAccount) throw new Error("Payment mint not found");
+        const tokenProgram = mintAccount.owner;
+
+        // Gross up the amount so the merchant nets PRICE after transfer fees
+        const amount = await getGrossTransferAmount(
+          connection,
+          mint,
+          tokenProgram,
           PRICE,
-          6, // USDC has 6 decimals
-        ),
-      );
+        );
 
-      // Generate a unique reference for the payment
-      const ref = crypto.randomUUID();
-      setPaymentReference(ref);
+        // Get the buyer's associated token account for the asset
+        const buyerATA = await getAssociatedTokenAddress(
+          mint,
+          provider.publicKey,
+          false,
+          tokenProgram,
+        );
+        transferInstruction = createTransferCheckedInstruction(
+          buyerATA,
+          mint,
+          MERCHANT_ACCOUNT,
+          provider.publicKey,
+          amount,
+          paymentSpec.extra?.decimals ?? 6,
+          [],
+          tokenProgram,
+        );
+      }
 
-      // Add memo instruction with x402 reference
-      tx.add(
+      const instructions = [
+        transferInstruction,
+        // Memo instruction with x402 reference
         new TransactionInstruction({
           keys: [],
           programId: new PublicKey(
@@ -254,19 +755,34 @@ const Wallet = () => {
           ),
           data: new TextEncoder().encode(`x402:${ref}`),
         }),
-      );
-
-      // Add compute budget instructions for efficient execution
-      tx.add(
+        // Compute budget instructions for efficient execution
         ComputeBudgetProgram.setComputeUnitLimit({ units: 130_000 }),
         ComputeBudgetProgram.setComputeUnitPrice({ microLamports: 0 }),
-      );
+      ];
 
-      const memberStatusMsg = membershipStatus?.isMember
+      // Create a new legacy or v0 transaction with recent blockhash
+      const { blockhash } = await connection.getLatestBlockhash();
+      const tx =
+        txVersion === "v0"
+          ? new VersionedTransaction(
+              new TransactionMessage({
+                payerKey: provider.publicKey,
+                recentBlockhash: blockhash,
+                instructions,
+              }).compileToV0Message(),
+            )
+          : new Transaction({
+              recentBlockhash: blockhash,
+              feePayer: provider.publicKey,
+            }).add(...instructions);
+
+      const memberStatusMsg = membershipStatus?.isFreeAccess
         ? " - Member: Server will decide to broadcast or bypass"
-        : "";
+        : membershipStatus?.isMember
+          ? ` - Member tier ${membershipStatus.tier.name} discount`
+          : "";
       setStatusMessage(
-        `✅ Transaction built (${PRICE / 1_000_000} USDC)${memberStatusMsg}`,
+        `✅ ${txVersion} transaction built (${formatAmount(PRICE, paymentSpec)})${memberStatusMsg}`,
       );
       setCurrentStep("tx-built");
 
@@ -283,12 +799,6 @@ const Wallet = () => {
       setStatusMessage("📤 Submitting payment to /weather endpoint...");
 
       // Build x402 payment header
-      const uint8ArrayToBase64 = (uint8Array) => {
-        let binary = "";
-        uint8Array.forEach((byte) => (binary += String.fromCharCode(byte)));
-        return btoa(binary);
-      };
-
       const txBase64 = uint8ArrayToBase64(signed.serialize());
 
       const xPayment = btoa(
@@ -296,35 +806,16 @@ const Wallet = () => {
           x402Version: requirements.x402Version,
           scheme: paymentSpec.scheme,
           network: paymentSpec.network,
-          payload: { txBase64, reference: ref },
+          payload: {
+            txBase64,
+            reference: ref,
+            // Never put on-chain, unlike the memo reference
+            idempotencyKey: crypto.randomUUID(),
+          },
         }),
       );
 
-      // Call API with x-payment header
-      const response = await fetch(API_URL, {
-        method: "GET",
-        headers: { "X-PAYMENT": xPayment },
-      });
-
-      if (!response.ok) {
-        const errorData = await response.json();
-        throw new Error(errorData.error || `API error: ${response.status}`);
-      }
-
-      const data = await response.json();
-
-      // console.log("API response data:", data);
-      console.log("Full response:", response);
-      // Check for payment response header
-      const paymentResponse = response.headers.get("X-PAYMENT-RESPONSE");
-      let receipt = null;
-      if (paymentResponse) {
-        receipt = JSON.parse(atob(paymentResponse));
-        console.log("Payment receipt:", receipt);
-        if (receipt?.txHash) {
-          setTransactionHash(receipt.txHash);
-        }
-      }
+      const { data, receipt } = await submitXPayment(xPayment);
 
       setWeatherData(data);
       setStatusMessage(
@@ -336,8 +827,14 @@ const Wallet = () => {
 
       return { data, receipt };
     } catch (error) {
+      if (error.code === "stale_payload" && !isRetry) {
+        setStatusMessage("⏳ Payment quote expired, rebuilding payment...");
+        return processPayment(await fetchPaymentRequirements(), true, asset);
+      }
       setErrorMessage(`Payment processing failed: ${error.message}`);
-      setStatusMessage("❌ Payment failed");
+      setStatusMessage(
+        error.code ? `❌ Payment failed (${error.code})` : "❌ Payment failed",
+      );
       setCurrentStep("membership-checked");
       throw error;
     }
@@ -355,16 +852,17 @@ const Wallet = () => {
     try {
       // Reset state
       setWeatherData(null);
+      setReceiptStatus(null);
       setErrorMessage("");
 
       // Step 2: Fetch requirements
       const requirements = await fetchPaymentRequirements();
 
-      // Step 3: Check membership
-      await checkMembership();
+      // Step 3: Check membership and asset balances
+      const option = await checkMembership();
 
       // Step 4: Process payment (build, sign, submit)
-      await processPayment(requirements);
+      await processPayment(requirements, false, option?.spec.asset);
     } catch (error) {
       console.error("Flow error:", error);
     }
@@ -377,9 +875,14 @@ const Wallet = () => {
     setCurrentStep("idle");
     setPaymentRequirements(null);
     setMembershipStatus(null);
+    setAssetOptions([]);
+    setSelectedAsset(null);
     setPaymentReference(null);
     setTransactionHash(null);
+    setTransactionUrl(null);
     setWeatherData(null);
+    setReceiptStatus(null);
+    setAccessSession(null);
     setErrorMessage("");
     setStatusMessage(
       provider
@@ -638,11 +1141,21 @@ const Wallet = () => {
                   fontFamily: "monospace",
                 }}
               >
-                USDC Balance: {usdcBalance} USDC
-                <br />
+                {assetOptions.map((option) => (
+                  <Fragment key={option.spec.asset}>
+                    {formatAmount(option.balance, option.spec)} held, price{" "}
+                    {formatAmount(option.amountDue, option.spec)}
+                    {option.sufficient ? "" : " (insufficient)"}
+                    <br />
+                  </Fragment>
+                ))}
                 SPL Token:{" "}
                 <a
-                  href={`https://solscan.io/token/${membershipStatus.tokenAddress}`}
+                  href={explorerUrl(
+                    `token/${membershipStatus.tokenAddress}`,
+                    network,
+                    SOLANA_RPC,
+                  )}
                   target="_blank"
                   rel="noopener noreferrer"
                 >
@@ -653,20 +1166,37 @@ const Wallet = () => {
                 <br />
                 Required: {">="} {membershipStatus.required} tokens
                 <br />
+                {membershipStatus.tier && (
+                  <>
+                    Tier: {membershipStatus.tier.name} (
+                    {membershipStatus.tier.discountPercent}% off)
+                    <br />
+                  </>
+                )}
+                {selectedOption && (
+                  <>
+                    Effective price:{" "}
+                    {formatAmount(
+                      selectedOption.amountDue,
+                      selectedOption.spec,
+                    )}
+                    <br />
+                  </>
+                )}
                 {!canProceedToPayment && (
                   <span style={{ color: "#d32f2f", fontWeight: "500" }}>
-                    ⚠️ Warning: USDC balance insufficient for verification. Step
+                    ⚠️ Warning: No accepted asset balance covers the price. Step
                     4 disabled.
                   </span>
                 )}
                 <br />
-                {membershipStatus.isMember && (
+                {membershipStatus.isFreeAccess && (
                   <span style={{ color: "#000", fontWeight: "500" }}>
                     Note:{" "}
                     <b>
-                      Transaction will be built for verification. Upon
+                      You will sign a sign-in message instead of a payment. Upon
                       successful verification, x402 facilitator will grant free
-                      access and skip broadcasting payment.
+                      access without any payment.
                     </b>
                   </span>
                 )}
@@ -705,8 +1235,8 @@ const Wallet = () => {
               lineHeight: "1.5",
             }}
           >
-            Build, sign, and submit transaction. For members, server verifies
-            membership and may bypass payment.
+            Build, sign, and submit transaction. Members sign a sign-in message
+            instead, and the server verifies membership.
           </p>
           <button
             onClick={async () => {
@@ -741,7 +1271,47 @@ const Wallet = () => {
           >
             Process Payment
           </button>
-          {currentStep === "tx-built" && paymentReference && (
+          {assetOptions.length > 1 && (
+            <select
+              value={selectedAsset ?? ""}
+              onChange={(e) => setSelectedAsset(e.target.value)}
+              disabled={currentStep !== "membership-checked"}
+              style={{
+                marginLeft: "12px",
+                padding: "11px 12px",
+                fontSize: "13px",
+                border: "1px solid #000000",
+                backgroundColor: "#ffffff",
+              }}
+            >
+              {assetOptions.map((option) => (
+                <option
+                  key={option.spec.asset}
+                  value={option.spec.asset}
+                  disabled={!option.sufficient}
+                >
+                  Pay {formatAmount(option.amountDue, option.spec)}
+                  {option.sufficient ? "" : " (insufficient balance)"}
+                </option>
+              ))}
+            </select>
+          )}
+          <select
+            value={txVersion}
+            onChange={(e) => setTxVersion(e.target.value)}
+            disabled={currentStep !== "membership-checked"}
+            style={{
+              marginLeft: "12px",
+              padding: "11px 12px",
+              fontSize: "13px",
+              border: "1px solid #000000",
+              backgroundColor: "#ffffff",
+            }}
+          >
+            <option value="legacy">Legacy transaction</option>
+            <option value="v0">Versioned (v0) transaction</option>
+          </select>
+          {currentStep === "tx-built" && paymentReference && selectedOption && (
             <div
               style={{
                 marginTop: "16px",
@@ -754,13 +1324,12 @@ const Wallet = () => {
             >
               <div style={{ fontFamily: "monospace", color: "#333" }}>
                 Amount:{" "}
-                {paymentRequirements.accepts[0].maxAmountRequired / 1_000_000}{" "}
-                USDC
+                {formatAmount(selectedOption.amountDue, selectedOption.spec)}
                 <br />
                 Reference: {paymentReference}
                 <br />
-                Merchant: {paymentRequirements.accepts[0].payTo.slice(0, 16)}...
-                {membershipStatus?.isMember && (
+                Merchant: {selectedOption.spec.payTo.slice(0, 16)}...
+                {membershipStatus?.isFreeAccess && (
                   <>
                     <br />
                     <span style={{ color: "#000", fontWeight: "500" }}>
@@ -788,7 +1357,7 @@ const Wallet = () => {
                 Transaction Hash: {transactionHash.slice(0, 16)}...
                 <br />
                 <a
-                  href={`https://solscan.io/tx/${transactionHash}`}
+                  href={transactionUrl}
                   target="_blank"
                   rel="noopener noreferrer"
                   style={{
@@ -797,7 +1366,7 @@ const Wallet = () => {
                     fontWeight: "500",
                   }}
                 >
-                  View on Solscan →
+                  View on explorer →
                 </a>
               </div>
             </div>
@@ -833,6 +1402,36 @@ const Wallet = () => {
           >
             {weatherData.temperatureF}°F
           </div>
+          {receiptStatus && (
+            <div style={{ fontSize: "12px", color: "#666" }}>
+              {receiptStatus}
+            </div>
+          )}
+          {accessSession && (
+            <div style={{ marginTop: "16px", fontSize: "12px", color: "#666" }}>
+              Access token valid until{" "}
+              {new Date(accessSession.expiresAt).toLocaleTimeString()}
+              {accessSession.remainingCalls !== null &&
+                ` (${accessSession.remainingCalls} calls left)`}
+              <br />
+              <button
+                onClick={fetchWithSession}
+                style={{
+                  marginTop: "8px",
+                  padding: "12px 24px",
+                  fontSize: "13px",
+                  cursor: "pointer",
+                  backgroundColor: "#000000",
+                  color: "#ffffff",
+                  border: "1px solid #000000",
+                  fontWeight: "400",
+                  letterSpacing: "0.3px",
+                }}
+              >
+                Fetch again with access token
+              </button>
+            </div>
+          )}
         </div>
       )}
 